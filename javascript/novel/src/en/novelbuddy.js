@@ -10,10 +10,10 @@ const mangayomiSources = [
     "dateFormat": "",
     "dateFormatLocale": "",
     "isNsfw": false,
-    "hasCloudflare": false,
+    "hasCloudflare": true,
     "sourceCodeUrl": "",
     "apiUrl": "",
-    "version": "0.0.9",
+    "version": "0.1.21",
     "isManga": false,
     "itemType": 2,
     "isFullData": false,
@@ -21,9 +21,443 @@ const mangayomiSources = [
     "additionalParams": "",
     "sourceCodeLanguage": 1,
     "notes": "",
-    "pkgPath": "novel/src/en/novelbuddy.js",
-  },
+    "pkgPath": "novel/src/en/novelbuddy.js"
+  }
+];
+
+// Domains the site has been served from. The first one is the default; the
+// others are tried in order when the active domain is down or parked.
+const mirrorDomains = [
+  "https://novelbuddy.com",
+  "https://novelbuddy.io",
+  "https://novelbuddy.me",
 ];
+
+// A response that means the domain itself is gone: a server error or a
+// registrar "domain for sale" page instead of the site.
+function isUnavailable(res) {
+  if (res.statusCode >= 500) return true;
+  return /domain (name )?(is|may be) for sale|buy this domain|this domain (has expired|is parked)|sedoparking|parkingcrew|bodis\.com/i.test(
+    res.body ?? ""
+  );
+}
+
+// Request pacing: at most this many requests per second to one host, and
+// transient failures (timeouts, 429, 5xx) are tried up to maxAttempts times.
+const requestsPerSecond = 2;
+const maxAttempts = 3;
+const retryStatusCodes = [408, 429, 500, 502, 503, 504, 520, 521, 522, 523, 524];
+// Longest Retry-After worth waiting for; past it the response is returned
+// as is and reported as rate limiting.
+const maxRetryAfter = 5000;
+// Earliest time the next request to each host may start
+const hostSlots = {};
+
+// Whether the runtime can pause. The app's runtime has no timers and nothing
+// else pauses without spinning on the clock, so there requests are neither
+// paced nor retried: a retry sent at once would only add to the load.
+function canWait() {
+  return typeof setTimeout === "function";
+}
+
+// Response header by case-insensitive name, or null.
+function headerValue(res, name) {
+  var headers = res.headers ?? {};
+  var key = Object.keys(headers).find((item) => item.toLowerCase() === name);
+  return key ? `${headers[key]}` : null;
+}
+
+// Delay asked for by a Retry-After header (seconds or an HTTP date), in
+// milliseconds, or null when there is none.
+function retryAfter(res, now = Date.now()) {
+  var value = headerValue(res, "retry-after");
+  if (value === null) return null;
+  value = value.trim();
+  if (/^\d+$/.test(value)) return parseInt(value) * 1000;
+  var date = Date.parse(value);
+  return isNaN(date) ? null : Math.max(0, date - now);
+}
+
+// Anti-bot interstitials (Cloudflare, DDoS-Guard) and captcha walls served
+// in place of the page. Captcha markup only counts on an error status, as
+// normal pages may embed a captcha for comments.
+function isChallenge(res) {
+  if ((headerValue(res, "cf-mitigated") ?? "").includes("challenge")) return true;
+  var body = res.body ?? "";
+  if (
+    /<title>\s*(just a moment|attention required|please wait|checking your browser|ddos-guard)|cf-browser-verification|cf_chl_opt|\/cdn-cgi\/challenge-platform\/|id="challenge-form"/i.test(
+      body
+    )
+  )
+    return true;
+  return res.statusCode >= 400 && /captcha/i.test(body);
+}
+
+// Locked or VIP chapters, which must be unlocked on the site. Rows of the
+// chapter list carry a lock class or icon; chapter pages show an unlock box
+// or only a teaser with an unlock notice.
+const lockedClass = /(^|[\s_-])(locked?|vip|premium|paid)([\s_-]|$)/i;
+const lockedText =
+  /this chapter is locked|unlock (this|the) chapter|(purchase|buy) this chapter|vip (only|chapter)|premium chapter|coins? to (read|unlock)/i;
+
+function isLockedRow(item) {
+  if (lockedClass.test(item.className ?? "")) return true;
+  if (
+    item.selectFirst(
+      ".fa-lock, .icon-lock, .lock, .locked, .vip, .premium, .paid, [data-locked=true]"
+    )
+  )
+    return true;
+  return item.text.includes("🔒");
+}
+
+function isLockedContent(doc, container) {
+  if (
+    doc.selectFirst(
+      ".chapter-locked, .locked-content, .paywall, .vip-content, .premium-content, .btn-unlock, .unlock-chapter"
+    )
+  )
+    return true;
+  return lockedText.test(container.text);
+}
+
+// Most parts one chapter is stitched from, in case a site links pages in a loop
+const maxChapterParts = 20;
+
+// Intra-chapter pagination: the link to the next part of the chapter at
+// `chapterSlug`, either `?page=N` (or p / paged) on the chapter url or a
+// `/N` segment after it. Links to any other url, such as the next chapter,
+// never match. Returns { slug, page } for the lowest page after `page`, or
+// null.
+function nextChapterPart(doc, chapterSlug, page) {
+  var base = chapterSlug.replace(/\/+$/, "");
+  var escaped = base.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  var pattern = new RegExp(`^${escaped}(?:/?[?&](?:page|paged|p)=(\\d+)|/(\\d+))/?$`);
+  var next = null;
+  doc.select("a[href]").forEach((a) => {
+    var slug = (a.attr("href") ?? "")
+      .trim()
+      .replace(/^https?:\/\/[^/]+/, "")
+      .replace(/#.*$/, "");
+    if (slug.startsWith("?")) slug = base + slug;
+    var match = slug.match(pattern);
+    if (!match) return;
+    var number = parseInt(match[1] ?? match[2]);
+    if (number > page && (!next || number < next.page)) next = { slug, page: number };
+  });
+  return next;
+}
+
+// Parse chapter dates such as "2 hours ago", "yesterday", "Mar 3, 2024",
+// "3 March 2024" or "2024-03-03" into a millisecond timestamp string.
+// Returns null when the text is not a recognisable date.
+function parseDate(text, now = Date.now()) {
+  if (!text) return null;
+  var value = text.replace(/\s+/g, " ").trim().toLowerCase();
+  if (!value) return null;
+
+  var day = 24 * 60 * 60 * 1000;
+  if (/^(just now|now|today)$/.test(value)) return `${now}`;
+  if (value === "yesterday") return `${now - day}`;
+
+  var units = {
+    s: 1000,
+    sec: 1000,
+    second: 1000,
+    m: 60 * 1000,
+    min: 60 * 1000,
+    minute: 60 * 1000,
+    h: 60 * 60 * 1000,
+    hr: 60 * 60 * 1000,
+    hour: 60 * 60 * 1000,
+    d: day,
+    day: day,
+    w: 7 * day,
+    week: 7 * day,
+    month: 30 * day,
+    y: 365 * day,
+    yr: 365 * day,
+    year: 365 * day,
+  };
+  var relative = value.match(
+    /^(\d+|an?|one)\s*(second|sec|minute|min|hour|hr|day|week|month|year|yr|s|m|h|d|w|y)s?\.?( ago)?$/
+  );
+  if (relative && (relative[3] || relative[2].length > 1)) {
+    var amount = /^\d+$/.test(relative[1]) ? parseInt(relative[1]) : 1;
+    return `${now - amount * units[relative[2]]}`;
+  }
+
+  var months = [
+    "jan",
+    "feb",
+    "mar",
+    "apr",
+    "may",
+    "jun",
+    "jul",
+    "aug",
+    "sep",
+    "oct",
+    "nov",
+    "dec",
+  ];
+  function monthIndex(name) {
+    return months.indexOf(name.substring(0, 3));
+  }
+  function build(year, month, date) {
+    if (month < 0 || month > 11 || date < 1 || date > 31) return null;
+    return `${new Date(year, month, date).valueOf()}`;
+  }
+
+  var match = value.match(/^([a-z]+)\.? (\d{1,2})(?:st|nd|rd|th)?,? (\d{4})/);
+  if (match && monthIndex(match[1]) != -1)
+    return build(parseInt(match[3]), monthIndex(match[1]), parseInt(match[2]));
+  match = value.match(/^(\d{1,2})(?:st|nd|rd|th)? ([a-z]+)\.?,? (\d{4})/);
+  if (match && monthIndex(match[2]) != -1)
+    return build(parseInt(match[3]), monthIndex(match[2]), parseInt(match[1]));
+  match = value.match(/^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})/);
+  if (match)
+    return build(parseInt(match[1]), parseInt(match[2]) - 1, parseInt(match[3]));
+  match = value.match(/^(\d{1,2})[-/.](\d{1,2})[-/.](\d{4})/);
+  if (match)
+    return build(parseInt(match[3]), parseInt(match[1]) - 1, parseInt(match[2]));
+
+  var parsed = Date.parse(text);
+  return isNaN(parsed) ? null : `${parsed}`;
+}
+
+// Extra, side story and bonus chapters ("Extra Chapter 1"), numbered apart
+// from the main story.
+const extraChapter =
+  /\b(?:extra|side[- ]?stor(?:y|ies)|bonus|special)\b\s*(?:chapter|chap\.?|ch\.?|episode|ep\.?)?\s*\d/i;
+
+// What is left of a chapter name without its numbers and labels such as
+// "Latest chapter:". Two chapters with the same number are only the same
+// chapter when these match or one of them is empty.
+function chapterTitle(name) {
+  return (name ?? "")
+    .toLowerCase()
+    .replace(/\b(?:latest|newest|new|next|previous|prev|first|last|read)\b/g, "")
+    .replace(
+      /\b(?:volume|vol\.?|book|chapter|chap\.?|ch\.?|episode|ep\.?|part)\s*\d+(?:\.\d+)?/g,
+      ""
+    )
+    .replace(/^\s*\d+(?:\.\d+)?/, "")
+    .replace(/\bchapter\b/g, "")
+    .replace(/[^\p{L}\p{N}]+/gu, "");
+}
+
+// Chapter, part and volume numbers read from a chapter name, else from its
+// url. Each is null when not found. `extra` marks extra chapters.
+function chapterNumbers(name, url) {
+  function find(candidates) {
+    for (var [pattern, text] of candidates) {
+      var match = (text ?? "").match(pattern);
+      if (match) return parseFloat(match[1]);
+    }
+    return null;
+  }
+  var path = (url ?? "").toLowerCase();
+  return {
+    volume: find([
+      [/\b(?:volume|vol\.?|book)\s*(\d+)/i, name],
+      [/\bvol(?:ume)?[-_]?(\d+)/, path],
+    ]),
+    chapter: find([
+      [/\b(?:chapter|chap\.?|ch\.?|episode|ep\.?)\s*(\d+(?:\.\d+)?)/i, name],
+      [/chapter[-_]?(\d+)/, path],
+      [/^\s*(\d+(?:\.\d+)?)\b/, name],
+      [/[-_/](\d+)(?:\.html?)?\/?$/, path],
+    ]),
+    part: find([[/\bpart\s*(\d+)/i, name]]),
+    extra: extraChapter.test(name ?? ""),
+  };
+}
+
+// Shared chapter clean-up: drop repeated urls and repeated chapter numbers
+// under the same title (such as "latest chapter" links), put the volume in
+// `scanlator` so the app can group by it, and order newest first by volume,
+// chapter and part. Chapters without a number, and extra chapters, stay
+// right after the chapter listed before them. Pass oldestFirst when the
+// site lists chapters oldest first.
+function normalizeChapters(chapters, oldestFirst = false) {
+  var ordered = oldestFirst ? chapters.slice() : chapters.slice().reverse();
+  var seenUrls = {};
+  var seenNumbers = {};
+  var volume = null;
+  var previous = [0, -1, 0];
+  var items = [];
+  ordered.forEach((chapter) => {
+    if (!chapter.url || seenUrls[chapter.url]) return;
+    var numbers = chapterNumbers(chapter.name, chapter.url);
+    // A chapter without a volume belongs to the last volume seen
+    var chapterVolume = numbers.volume ?? volume;
+    if (numbers.chapter !== null) {
+      var number = `${numbers.extra ? "extra" : "main"}:${chapterVolume}:${numbers.chapter}:${numbers.part}`;
+      var title = chapterTitle(chapter.name);
+      var titles = seenNumbers[number] ?? [];
+      if (titles.some((seen) => seen === title || !seen || !title)) return;
+      seenNumbers[number] = [...titles, title];
+    }
+    seenUrls[chapter.url] = true;
+    volume = chapterVolume;
+
+    var key =
+      numbers.chapter === null || numbers.extra
+        ? [volume ?? 0, previous[1], previous[2]]
+        : [volume ?? 0, numbers.chapter, numbers.part ?? 0];
+    previous = key;
+    if (volume !== null) chapter = { ...chapter, scanlator: `Volume ${volume}` };
+    items.push({ key, chapter });
+  });
+
+  // Array.prototype.sort is stable, so equal keys keep the site's order
+  items.sort((a, b) => {
+    for (var i = 0; i < 3; i++) {
+      if (a.key[i] !== b.key[i]) return a.key[i] - b.key[i];
+    }
+    return 0;
+  });
+  return items.map((item) => item.chapter).reverse();
+}
+
+// UTF-8 text that was decoded as Windows-1252 somewhere on its way to the
+// page, and what it should read. "â€" alone is a right quote whose last byte
+// got lost, so it comes last.
+const mojibake = [
+  ["â€™", "’"],
+  ["â€˜", "‘"],
+  ["â€œ", "“"],
+  ["â€\u009d", "”"],
+  ["â€“", "–"],
+  ["â€”", "—"],
+  ["â€¦", "…"],
+  ["â€¢", "•"],
+  ["â€", "”"],
+  ["Ã©", "é"],
+  ["Ã¨", "è"],
+  ["Ãª", "ê"],
+  ["Ã¢", "â"],
+  ["Ã®", "î"],
+  ["Ã´", "ô"],
+  ["Ã¤", "ä"],
+  ["Ã¶", "ö"],
+  ["Ã¼", "ü"],
+  ["Ã±", "ñ"],
+  ["Ã§", "ç"],
+  ["Â\u00a0", " "],
+  ["Â ", " "],
+];
+
+const entityNames = {
+  amp: "&",
+  lt: "<",
+  gt: ">",
+  quot: '"',
+  apos: "'",
+  nbsp: "\u00a0",
+  hellip: "…",
+  mdash: "—",
+  ndash: "–",
+  lsquo: "‘",
+  rsquo: "’",
+  ldquo: "“",
+  rdquo: "”",
+  laquo: "«",
+  raquo: "»",
+  middot: "·",
+  bull: "•",
+};
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, code) => {
+    if (code[0] === "#") {
+      var num =
+        code[1].toLowerCase() === "x"
+          ? parseInt(code.slice(2), 16)
+          : parseInt(code.slice(1));
+      return num > 0 && num <= 0x10ffff ? String.fromCodePoint(num) : match;
+    }
+    return entityNames[code.toLowerCase()] ?? match;
+  });
+}
+
+// Decode what scraped text keeps after the DOM has read it: literal escapes
+// ("u0026", "\u2019"), entities, also double-encoded ("&amp;#8217;"),
+// mojibake, zero-width characters and non-breaking spaces. Line breaks stay.
+function normalizeText(text) {
+  if (!text) return "";
+  // Only \u00XX and \u20XX, so words such as "dubbed" are left alone
+  var value = `${text}`.replace(
+    /\\?u(00[0-9a-f]{2}|20[0-9a-f]{2})/gi,
+    (m, code) => String.fromCharCode(parseInt(code, 16))
+  );
+  for (var i = 0; i < 3; i++) {
+    var decoded = decodeEntities(value);
+    if (decoded === value) break;
+    value = decoded;
+  }
+  mojibake.forEach(([bad, good]) => {
+    value = value.split(bad).join(good);
+  });
+  return value
+    .replace(/[\u200b-\u200d\u2060\ufeff\u00ad]/g, "")
+    .replace(/[\u00a0\u2007\u202f]/g, " ")
+    .replace(/[ \t\r\f\v]+/g, " ")
+    .replace(/ *\n */g, "\n")
+    .trim();
+}
+
+// Text made safe to put inside the chapter html.
+function escapeHtml(text) {
+  return text.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+}
+
+// Genres offered by the site's genre menu and search form, cached in the
+// preferences because getFilterList cannot make requests. Once the cache is
+// missing or older than genreCacheTtl it is refreshed from the listing page
+// just loaded, else from the genre index; the static list in getFilterList
+// is only used until the first refresh. An index that cannot be read is
+// tried again after genreRetryTtl, not on every listing.
+const genreCacheKey = "novelbuddy_genres";
+const genreCacheTtl = 7 * 24 * 60 * 60 * 1000;
+const genreRetryTtl = 24 * 60 * 60 * 1000;
+const genreIndexPath = "/genres";
+
+// [name, slug] pairs from the search form checkboxes and /genre/ links.
+function parseGenres(doc) {
+  var genres = [];
+  doc.select('input[name="genre[]"]').forEach((input) => {
+    var label = input.parent && input.parent.localName === "label" ? input.parent.text : "";
+    genres.push([label || input.attr("value"), input.attr("value")]);
+  });
+  doc.select("a[href*='/genre']").forEach((a) => {
+    var match = (a.attr("href") ?? "").match(/\/genres?\/([^/?#]+)/);
+    if (match) genres.push([a.text, match[1]]);
+  });
+  return genres;
+}
+
+// Tidy genre names ("Anime u0026 Comics" -> "Anime & Comics") and keep one
+// entry per genre, so "Fan-Fiction" and "Fanfiction" or "Slice of Life" and
+// "Slice Of Life" become one checkbox with the first slug seen. Sorted by name.
+function normalizeGenres(genres) {
+  var seen = {};
+  var out = [];
+  genres.forEach(([name, value]) => {
+    name = normalizeText(name)
+      .replace(/\s*&\s*/g, " & ")
+      .replace(/\s+/g, " ");
+    value = (value ?? "").trim().toLowerCase();
+    if (!name || !value) return;
+    var key = name.toLowerCase().replace(/[^a-z0-9&]/g, "");
+    if (seen[key]) return;
+    seen[key] = true;
+    out.push([name, value]);
+  });
+  return out.sort((a, b) => a[0].localeCompare(b[0]));
+}
+
 class DefaultExtension extends MProvider {
   constructor() {
     super();
@@ -34,14 +468,187 @@ class DefaultExtension extends MProvider {
     return new SharedPreferences().get(key);
   }
 
+  // The domain override from the settings, else the last mirror that
+  // answered, else the default domain.
+  getBaseUrl() {
+    var domain = (this.getPreference("novelbuddy_domain_url") ?? "").trim();
+    if (!domain)
+      domain = new SharedPreferences().getString("novelbuddy_active_mirror", "");
+    if (!domain) return this.source.baseUrl;
+    if (!domain.startsWith("http")) domain = `https://${domain}`;
+    return domain.replace(/\/+$/, "");
+  }
+
+  // Stored links may carry a domain the site has since left; keep the path
+  // only so it is requested from the active mirror.
+  toSlug(url) {
+    return url.replace(/^https?:\/\/[^/]+/, "");
+  }
+
+  // The Referer is the site itself: the url's own domain when it is one of
+  // the mirrors, else the active domain (for covers on image hosts).
   getHeaders(url) {
-    throw new Error("getHeaders not implemented");
+    var origin = ((url ?? "").match(/^https?:\/\/[^/]+/) ?? [])[0];
+    var site = [...mirrorDomains, this.getBaseUrl()].includes(origin)
+      ? origin
+      : this.getBaseUrl();
+    return {
+      Referer: `${site}/`,
+      "User-Agent":
+        "Mozilla/5.0 (Linux; Android 13; Pixel 7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0.0.0 Mobile Safari/537.36",
+    };
+  }
+
+  // Pause for `ms`; returns at once where the runtime cannot pause.
+  async wait(ms) {
+    if (ms <= 0 || !canWait()) return;
+    await new Promise((resolve) => setTimeout(resolve, ms));
+  }
+
+  // Wait for the next free slot of the url's host and reserve the one after.
+  async throttle(url) {
+    var host = (url.match(/^https?:\/\/([^/]+)/) ?? [])[1] ?? "";
+    var now = Date.now();
+    var slot = Math.max(now, hostSlots[host] ?? 0);
+    hostSlots[host] = slot + 1000 / requestsPerSecond;
+    await this.wait(slot - now);
+  }
+
+  // GET one url, retrying timeouts and retryable status codes after the
+  // server's Retry-After or an exponential backoff (1s, 2s, ...). The delay
+  // holds back every request to that host, not just the retry. A Retry-After
+  // longer than maxRetryAfter is not waited for, and nothing is retried where
+  // the runtime cannot wait. Returns the last response, whatever its status.
+  async getWithRetry(url) {
+    var host = (url.match(/^https?:\/\/([^/]+)/) ?? [])[1] ?? "";
+    var attempts = canWait() ? maxAttempts : 1;
+    for (var attempt = 1; ; attempt++) {
+      await this.throttle(url);
+      var res = null;
+      var delay = 1000 * Math.pow(2, attempt - 1);
+      try {
+        res = await this.client.get(url, this.getHeaders(url));
+      } catch (e) {
+        var transient = /timed? ?out|timeout|connection reset/i.test(`${e.message ?? e}`);
+        if (!transient || attempt >= attempts) throw e;
+      }
+      if (res) {
+        // Waiting does not get past a challenge
+        if (
+          !retryStatusCodes.includes(res.statusCode) ||
+          attempt >= attempts ||
+          isChallenge(res)
+        )
+          return res;
+        var asked = retryAfter(res);
+        if (asked !== null && asked > maxRetryAfter) return res;
+        delay = asked ?? delay;
+      }
+      hostSlots[host] = Math.max(hostSlots[host] ?? 0, Date.now() + delay);
+    }
   }
 
+  // Fetch a page from the active domain, falling back to the other mirrors
+  // on connection errors or parked pages. A mirror that answers in place of
+  // the active one is remembered for the next requests.
   async request(slug) {
-    var url = `${this.source.baseUrl}${slug}`;
-    var body = (await this.client.get(url)).body;
-    return new Document(body);
+    slug = this.toSlug(slug);
+    var current = this.getBaseUrl();
+    var candidates = [current].concat(
+      mirrorDomains.filter((mirror) => mirror !== current)
+    );
+    var lastError = null;
+    for (var mirror of candidates) {
+      var url = `${mirror}${slug}`;
+      var res = null;
+      try {
+        res = await this.getWithRetry(url);
+      } catch (e) {
+        lastError = e;
+        continue;
+      }
+      // Mirrors sit behind the same protection, so do not fail over
+      if (isChallenge(res)) {
+        throw new Error(
+          `${mirror} is showing a Cloudflare/captcha check. Open the source in WebView, complete it, then try again.`
+        );
+      }
+      if (isUnavailable(res)) {
+        lastError = new Error(`${mirror} is unavailable (HTTP ${res.statusCode})`);
+        continue;
+      }
+      // The site answered, so another mirror would say the same
+      if (res.statusCode == 429) {
+        throw new Error(`${mirror} is rate limiting requests (HTTP 429), try again later`);
+      }
+      if (res.statusCode >= 400) {
+        throw new Error(`HTTP ${res.statusCode} for ${url}`);
+      }
+      if (mirror !== current) {
+        new SharedPreferences().setString("novelbuddy_active_mirror", mirror);
+      }
+      return new Document(res.body);
+    }
+    throw lastError;
+  }
+
+  // First match of `selector` in `parent`, or an error naming the page and
+  // the missing element. For parts without which the result is meaningless.
+  selectRequired(parent, selector, url, what) {
+    var element = parent ? parent.selectFirst(selector) : null;
+    if (!element) {
+      throw new Error(`${what} not found on ${url} (no element matches "${selector}")`);
+    }
+    return element;
+  }
+
+  // The id the chapter api is keyed by: the `bookId` script variable, else a
+  // data attribute or meta tag carrying it. Null when the page has none.
+  findBookId(doc) {
+    var match = doc.html.match(/bookId\s*=\s*["']?(\d+)/);
+    if (match) return match[1];
+    for (var attr of ["data-book-id", "data-bookid", "data-manga-id"]) {
+      var element = doc.selectFirst(`[${attr}]`);
+      var value = element ? (element.attr(attr) ?? "").trim() : "";
+      if (/^\d+$/.test(value)) return value;
+    }
+    var meta =
+      doc.selectFirst("meta[name=book-id]") ??
+      doc.selectFirst("meta[name=bookId]") ??
+      doc.selectFirst("meta[property='book:id']");
+    var content = meta ? (meta.attr("content") ?? "").trim() : "";
+    return /^\d+$/.test(content) ? content : null;
+  }
+
+  // Resolve a cover from an <img>, trying lazy-load attributes and srcset
+  // before src. Returns "" when there is no usable image.
+  resolveCover(img) {
+    if (!img) return "";
+    function fromSrcset(srcset) {
+      if (!srcset) return "";
+      var candidates = srcset
+        .split(",")
+        .map((item) => item.trim().split(/\s+/)[0])
+        .filter((item) => item);
+      return candidates.length ? candidates.slice(-1)[0] : "";
+    }
+
+    var raw = [
+      img.attr("data-src"),
+      img.attr("data-original"),
+      img.attr("data-lazy-src"),
+      fromSrcset(img.attr("data-srcset")),
+      fromSrcset(img.attr("srcset")),
+      img.attr("src"),
+    ]
+      .map((item) => (item ?? "").trim())
+      .find((item) => item && !item.startsWith("data:"));
+    if (!raw) return "";
+
+    if (raw.startsWith("//")) return "https:" + raw;
+    if (/^https?:\/\//.test(raw)) return raw;
+    var baseUrl = this.getBaseUrl();
+    return raw.startsWith("/") ? baseUrl + raw : `${baseUrl}/${raw}`;
   }
 
   async searchPage({
@@ -70,19 +677,27 @@ class DefaultExtension extends MProvider {
     slug += addSlug("page", `${page}`);
 
     var doc = await this.request(slug);
+    this.updateGenres(doc);
+    await this.refreshGenres();
 
     var list = [];
     var hasNextPage = false;
     doc.select(".book-item").forEach((item) => {
       var linkSection = item.selectFirst("a");
-      var link = linkSection.getHref;
-      var name = linkSection.attr("title");
+      var link = linkSection ? linkSection.getHref : "";
+      if (!link) return;
+      var title = item.selectFirst(".title") ?? item.selectFirst("h3");
+      var name = normalizeText(
+        linkSection.attr("title") || (title ? title.text : "")
+      );
 
-      var imageUrl = "https:" + linkSection.selectFirst("img").attr("data-src");
+      var imageUrl = this.resolveCover(item.selectFirst("img"));
       list.push({ name, link, imageUrl });
     });
 
-    var lastPage = doc.selectFirst(".paginator").select("a");
+    // No paginator means a single page of results
+    var paginator = doc.selectFirst(".paginator");
+    var lastPage = paginator ? paginator.select("a") : [];
     if (lastPage.length) {
       lastPage = lastPage.slice(-1)[0];
       hasNextPage = !lastPage.className.includes("active");
@@ -91,15 +706,127 @@ class DefaultExtension extends MProvider {
     return { list, hasNextPage };
   }
 
+  // The stored genre cache ({ updated, genres, checked }), or null when
+  // there is none or it is unreadable.
+  genreCache() {
+    try {
+      var cache = JSON.parse(new SharedPreferences().getString(genreCacheKey, "") || "null");
+      return cache && Array.isArray(cache.genres) ? cache : null;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  // The cached genre list, or null when there is none.
+  cachedGenres() {
+    var cache = this.genreCache();
+    return cache && cache.genres.length ? cache : null;
+  }
+
+  // Refresh the cached genres from a listing page once they are stale. A
+  // page without a genre menu leaves the cache as it is.
+  updateGenres(doc, now = Date.now()) {
+    var cache = this.cachedGenres();
+    if (cache && now - cache.updated < genreCacheTtl) return;
+    var genres = normalizeGenres(parseGenres(doc));
+    if (!genres.length) return;
+    new SharedPreferences().setString(
+      genreCacheKey,
+      JSON.stringify({ updated: now, genres: genres })
+    );
+  }
+
+  // Fetch the genre index when the cache is still missing or stale. Genres
+  // are only for the filters, so an index that fails or lists none is
+  // noted and the listing goes on.
+  async refreshGenres(now = Date.now()) {
+    var cache = this.genreCache();
+    if (cache && cache.genres.length && now - cache.updated < genreCacheTtl) return;
+    if (cache && now - (cache.checked ?? 0) < genreRetryTtl) return;
+    try {
+      this.updateGenres(await this.request(genreIndexPath), now);
+    } catch (e) {
+      // Noted below, and tried again after genreRetryTtl
+    }
+    if (this.cachedGenres()?.updated === now) return;
+    new SharedPreferences().setString(
+      genreCacheKey,
+      JSON.stringify({ ...(cache ?? { updated: 0, genres: [] }), checked: now })
+    );
+  }
+
   async getPopular(page) {
-    return await this.searchPage({ sort: "views", page: page });
+    var sort = this.getPreference("novelbuddy_default_sort") || "views";
+    return await this.searchPage({ sort: sort, page: page });
   }
 
   async getLatestUpdates(page) {
     return await this.searchPage({ sort: "updated_at", page: page });
   }
 
+  // The slug of a link pasted into search when it points at NovelBuddy or
+  // one of its mirrors, else null.
+  linkSlug(query) {
+    var match = query.match(/^https?:\/\/([^/?#\s]+)(\S*)$/i);
+    if (!match) return null;
+    function host(url) {
+      return url
+        .replace(/^https?:\/\//, "")
+        .replace(/^www\./, "")
+        .replace(/\/.*$/, "")
+        .toLowerCase();
+    }
+    var known = [...mirrorDomains, this.getBaseUrl()].some(
+      (domain) => host(domain) === host(match[1])
+    );
+    return known ? match[2] || "/" : null;
+  }
+
+  // The novel a pasted link belongs to, as a single search result. A novel
+  // page is used as it is; a chapter page leads to its novel through the
+  // breadcrumb, else the bookSlug script variable set next to bookId, else
+  // the /novel/<slug> part of its path.
+  async searchLink(slug) {
+    function novelPath(href) {
+      var path = href.split(/[?#]/)[0].replace(/\/+$/, "");
+      return /^\/novel\/[^/]+$/.test(path) ? path : null;
+    }
+    var novelSlug = novelPath(slug);
+    if (!novelSlug) {
+      var doc = await this.request(slug);
+      var crumbs = doc
+        .select(".breadcrumb a, .breadcrumbs a, [itemtype*='BreadcrumbList'] a")
+        .map((a) => novelPath(this.toSlug(a.attr("href") ?? "")))
+        .filter((href) => href);
+      var script = doc.html.match(/bookSlug\s*=\s*["']([^"']+)["']/);
+      var parent = slug.match(/^\/novel\/[^/?#]+/);
+      if (crumbs.length) novelSlug = crumbs.slice(-1)[0];
+      else if (script) novelSlug = `/novel/${script[1]}`;
+      else if (parent) novelSlug = parent[0];
+    }
+    if (!novelSlug) return { list: [], hasNextPage: false };
+
+    var novel = await this.request(novelSlug);
+    var title = novel.selectFirst(".detail h1");
+    return {
+      list: [
+        {
+          name: title ? normalizeText(title.text) : "",
+          link: novelSlug,
+          imageUrl: this.resolveCover(novel.selectFirst(".img-cover img")),
+        },
+      ],
+      hasNextPage: false,
+    };
+  }
+
   async search(query, page, filters) {
+    var slug = this.linkSlug(query.trim());
+    if (slug) {
+      if (page > 1) return { list: [], hasNextPage: false };
+      return await this.searchLink(slug);
+    }
+
     function checkBox(state) {
       var rd = [];
       state.forEach((item) => {
@@ -130,64 +857,111 @@ class DefaultExtension extends MProvider {
         }[status] ?? 5
       );
     }
-    var baseUrl = this.source.baseUrl;
-    var slug = url.replace(baseUrl, "");
-    var link = baseUrl + url;
-
+    var slug = this.toSlug(url);
     var doc = await this.request(slug);
+    // After the request, so a failover is reflected in the link
+    var link = this.getBaseUrl() + slug;
 
-    var detail = doc.selectFirst(".detail");
-    var name = detail.selectFirst("h1").text;
-    var imageUrl =
-      "https:" +
-      doc.selectFirst(".img-cover").selectFirst("img").attr("data-src");
+    var detail = this.selectRequired(doc, ".detail", link, "Novel details");
+    var name = normalizeText(
+      this.selectRequired(detail, "h1", link, "Novel title").text
+    );
+    var imageUrl = this.resolveCover(doc.selectFirst(".img-cover img"));
     var meta = detail.selectFirst(".meta");
     var genre = [];
     var status = 5;
-    meta.select("p").forEach((item) => {
-      var title = item.selectFirst("strong").text;
+    var author = "";
+    var alternative = "";
+    var views = "";
+    var rating = "";
+    (meta ? meta.select("p") : []).forEach((item) => {
+      var label = item.selectFirst("strong");
+      if (!label) return;
+      var title = label.text;
+      // Value text of the row without its "Label :" prefix
+      var value = normalizeText(
+        item.text.replace(title, "").replace(/^\s*:?\s*/, "")
+      );
+      var links = item
+        .select("a")
+        .map((a) => normalizeText(a.text.replace(",", "")));
       if (title.includes("Genres")) {
-        item
-          .select("a")
-          .forEach((a) => genre.push(a.text.replace(",", "").trim()));
+        links.forEach((a) => genre.push(a));
       } else if (title.includes("Status")) {
-        var statusText = item.selectFirst("a").text.trim();
-        status = statusCode(statusText);
+        status = statusCode(links.length ? links[0] : value);
+      } else if (title.includes("Author")) {
+        author = (links.length ? links.join(", ") : value).trim();
+      } else if (title.includes("Alternative")) {
+        alternative = value;
+      } else if (title.includes("Views")) {
+        views = value;
+      } else if (title.includes("Rating")) {
+        rating = value;
       }
     });
-    var description = doc
-      .selectFirst(".section-body.summary")
-      .selectFirst("p")
-      .text.trim();
+    if (!rating) {
+      var score = doc.selectFirst(".rating .score") ?? doc.selectFirst(".score");
+      if (score) rating = normalizeText(score.text);
+    }
+    var summaryBody = doc.selectFirst(".section-body.summary");
+    var summaryText = summaryBody
+      ? summaryBody.selectFirst("p") ?? summaryBody
+      : null;
+    var summary = summaryText ? normalizeText(summaryText.text) : "";
+
+    // Readable header shown above the summary in the app
+    var header = [];
+    if (alternative) header.push(`Alternative names: ${alternative}`);
+    if (rating) header.push(`Rating: ${rating}`);
+    if (views) header.push(`Views: ${views}`);
+    var description = header.length
+      ? `${header.join("\n")}\n\n${summary}`
+      : summary;
 
     var chapters = [];
-    var html = doc.html;
-    var sKey = "bookId = ";
-    var start = html.indexOf(sKey) + sKey.length;
-    var end = html.indexOf(";", start);
-    var bookId = html.substring(start, end).trim();
-    var chapDoc = await this.request(
-      `/api/manga/${bookId}/chapters?source=detail`
-    );
-    chapDoc
-      .selectFirst("#chapter-list")
+    var hideLocked = this.getPreference("novelbuddy_locked_chapters") === "hide";
+    var bookId = this.findBookId(doc);
+    if (!bookId) {
+      throw new Error(
+        `Book id not found on ${link} (no "bookId" script variable, data-book-id attribute or book-id meta tag)`
+      );
+    }
+    var chapterSlug = `/api/manga/${bookId}/chapters?source=detail`;
+    var chapDoc = await this.request(chapterSlug);
+    this.selectRequired(
+      chapDoc,
+      "#chapter-list",
+      this.getBaseUrl() + chapterSlug,
+      "Chapter list"
+    )
       .select("li")
       .forEach((item) => {
-        var chapLink = item.selectFirst("a").getHref;
-        var chapName = item.selectFirst("strong").text.trim();
-        var dateString = item.selectFirst("time").text.trim();
-        var dateUpload = new Date(dateString).valueOf().toString();
+        var anchor = item.selectFirst("a");
+        var chapLink = anchor ? anchor.getHref : "";
+        if (!chapLink) return;
+        var locked = isLockedRow(item);
+        if (locked && hideLocked) return;
+        var title = item.selectFirst("strong") ?? anchor;
+        var chapName = normalizeText(title.text.replace("🔒", ""));
+        var time = item.selectFirst("time");
+        var dateUpload = time ? parseDate(time.text) : null;
         chapters.push({
-          name: chapName,
+          name: locked ? `🔒 ${chapName}` : chapName,
           url: chapLink,
           dateUpload,
         });
       });
 
+    chapters = normalizeChapters(chapters);
+    if (this.getPreference("novelbuddy_chapter_order") === "oldest") {
+      chapters.reverse();
+    }
+
     return {
       name,
       imageUrl,
       description,
+      author,
       link,
       status,
       genre,
@@ -196,20 +970,178 @@ class DefaultExtension extends MProvider {
   }
 
   async getHtmlContent(name, url) {
-    var doc = await this.request(url);
-    return this.cleanHtmlContent(doc);
+    var slug = this.toSlug(url);
+    var doc = await this.request(slug);
+    var container = this.selectRequired(
+      doc,
+      ".content-inner",
+      this.getBaseUrl() + slug,
+      "Chapter text"
+    );
+
+    // Long chapters may be split over several pages; read them all
+    var parts = [container.innerHtml];
+    var seen = [slug];
+    var next = nextChapterPart(doc, slug, 1);
+    while (next && parts.length < maxChapterParts && !seen.includes(next.slug)) {
+      seen.push(next.slug);
+      var partDoc = await this.request(next.slug);
+      var partContainer = partDoc.selectFirst(".content-inner");
+      if (!partContainer) break;
+      parts.push(partContainer.innerHtml);
+      next = nextChapterPart(partDoc, slug, next.page);
+    }
+    if (parts.length == 1) return this.cleanHtmlContent(doc, name);
+
+    var heading =
+      doc.selectFirst(".chapter__title") ??
+      doc.selectFirst(".chapter-title") ??
+      doc.selectFirst("h1");
+    var stitched = new Document(
+      `<html><body>${heading ? heading.outerHtml : ""}<div class="content-inner">${parts.join("\n")}</div></body></html>`
+    );
+    return this.cleanHtmlContent(stitched, name);
   }
 
-async cleanHtmlContent(html) {
-  var para = html.selectFirst(".content-inner").select("p");
-  var title = para[0].text.trim();
-  var content = para
-    .slice(1)
-    .map((item) => `<p>${item.text.trim()}</p>`)
-    .join("\n");
+  // Keep whitelisted inline tags (img with its src only), drop every other
+  // tag but its text, and close tags left open by the paragraph split.
+  sanitizeBlock(block) {
+    var inline = ["em", "i", "strong", "b", "u", "s", "sub", "sup"];
+    var stack = [];
+    var out = block.replace(
+      /<(\/?)([a-zA-Z0-9]+)([^>]*)>/g,
+      (tag, closing, tagName, attrs) => {
+        tagName = tagName.toLowerCase();
+        if (tagName === "br") return closing ? "" : "<br>";
+        if (tagName === "img") {
+          var src = ["data-src", "data-original", "src"]
+            .map((attr) => {
+              var match = attrs.match(new RegExp(`\\s${attr}\\s*=\\s*["']([^"']+)["']`));
+              return match ? match[1] : "";
+            })
+            .find((item) => item && !item.startsWith("data:"));
+          if (!src) return "";
+          if (src.startsWith("//")) src = "https:" + src;
+          else if (src.startsWith("/")) src = this.getBaseUrl() + src;
+          return `<img src="${src}">`;
+        }
+        if (!inline.includes(tagName)) return "";
+        if (!closing) {
+          stack.push(tagName);
+          return `<${tagName}>`;
+        }
+        var index = stack.lastIndexOf(tagName);
+        if (index == -1) return "";
+        var closed = stack
+          .splice(index)
+          .reverse()
+          .map((item) => `</${item}>`)
+          .join("");
+        return closed;
+      }
+    );
+    out = out.replace(/^(\s|<br>)+|(\s|<br>)+$/g, "");
+    return out + stack.reverse().map((item) => `</${item}>`).join("");
+  }
 
-  return `<h2>${title}</h2><hr>${content}`;
-}
+  async cleanHtmlContent(html, name = "") {
+    var doc = typeof html === "string" ? new Document(html) : html;
+    var container = doc.selectFirst(".content-inner");
+    // Already cleaned content handed back by the app
+    if (!container) return typeof html === "string" ? html : "";
+
+    // A teaser of a locked chapter is not worth showing as the chapter
+    if (isLockedContent(doc, container)) {
+      var lockedTitle =
+        doc.selectFirst(".chapter__title") ?? doc.selectFirst(".chapter-title");
+      return this.withTitle(
+        lockedTitle ? normalizeText(lockedTitle.text) : name,
+        "<p>🔒 This chapter is locked on NovelBuddy.</p>\n<p>Unlock it on the website (open the chapter in WebView), then reload it here.</p>"
+      );
+    }
+
+    var raw = container.innerHtml;
+    // Ad blocks and embedded widgets are removed with their markup
+    container
+      .select(
+        "script, style, iframe, ins, noscript, form, button, [class*=ads], [id*=ads], [class*=advert], .ad, .adsbygoogle, .page-links, .chapter-pages, .chapter-pagination"
+      )
+      .forEach((item) => {
+        raw = raw.split(item.outerHtml).join("");
+      });
+
+    var marker = "\u0001";
+    raw = raw
+      .replace(/<!--[\s\S]*?-->/g, "")
+      .replace(/<(script|style|iframe|noscript)[\s\S]*?<\/\1>/gi, "")
+      .replace(/\s+/g, " ")
+      .replace(/<hr[^>]*>/gi, `${marker}<hr>${marker}`)
+      .replace(/<\/?(p|div|h[1-6]|li|ul|ol|blockquote|section|article|center|table|tr)(\s[^>]*)?>/gi, marker)
+      .replace(/(<br\s*\/?>\s*){2,}/gi, marker);
+
+    function plainText(block) {
+      return block
+        .replace(/<[^>]+>/g, "")
+        .replace(/&nbsp;/g, " ")
+        .trim();
+    }
+    var watermark =
+      /(read|find|visit|continue).{0,40}novel\s*buddy|novel\s*buddy\s*\.\s*(com|io|me)|^\s*(please )?(read|support).{0,30}(original|official).{0,20}(site|website)/i;
+    var separator = /^[\s*~=#◇◆○●•·—–-]{3,}$/;
+
+    var blocks = [];
+    raw.split(marker).forEach((block) => {
+      if (block.trim() === "<hr>") {
+        blocks.push({ html: "<hr>", text: "" });
+        return;
+      }
+      var clean = this.sanitizeBlock(block);
+      var text = plainText(clean);
+      if (!text && !clean.includes("<img")) return;
+      if (text && watermark.test(text)) return;
+      blocks.push({ html: clean, text });
+    });
+
+    // The title is the page heading or a leading "Chapter N" line,
+    // never blindly the first paragraph.
+    var heading =
+      doc.selectFirst(".chapter__title") ??
+      doc.selectFirst(".chapter-title") ??
+      doc.selectFirst("h1");
+    var title = heading ? normalizeText(heading.text) : "";
+    var first = blocks.find((block) => block.text);
+    if (first) {
+      var firstText = first.text.toLowerCase();
+      var isTitle =
+        (title && firstText === title.toLowerCase()) ||
+        (name && firstText === name.trim().toLowerCase()) ||
+        (first.text.length < 120 &&
+          /^(chapter|ch\.?|episode|prologue|epilogue|side story)\b/i.test(first.text));
+      if (isTitle) {
+        if (!title) title = first.text;
+        blocks.splice(blocks.indexOf(first), 1);
+      }
+    }
+    if (!title) title = name;
+
+    var content = blocks
+      .map((block) => {
+        if (block.html === "<hr>") return "<hr>";
+        if (separator.test(block.text))
+          return `<p style="text-align:center">${escapeHtml(block.text)}</p>`;
+        return `<p>${block.html}</p>`;
+      })
+      .join("\n");
+
+    return this.withTitle(title, content);
+  }
+
+  // Put the chapter title above the content unless the preference hides it.
+  withTitle(title, content) {
+    if (!title || this.getPreference("novelbuddy_chapter_title") === false)
+      return content;
+    return `<h2>${escapeHtml(title)}</h2><hr>${content}`;
+  }
 
   getFilterList() {
     function formateState(type_name, items, values) {
@@ -224,40 +1156,28 @@ async cleanHtmlContent(html) {
     var items = [];
     var values = [];
 
-    // Genres
+    // Genres: the list read from the site, else the built-in fallback
     items = [
       "Action",
       "Action Adventure",
-      "ActionAdventure",
       "Adult",
-      "Adventcure",
       "Adventure",
-      "Adventurer",
       "Anime u0026 Comics",
-      "Bender",
       "Booku0026Literature",
       "Chinese",
-      "Comed",
       "Comedy",
       "Cultivation",
       "Drama",
-      "dventure",
       "Eastern",
       "Ecchi",
       "Ecchi Fantasy",
       "Fan-Fiction",
       "Fanfiction",
-      "Fantas",
       "Fantasy",
-      "FantasyAction",
       "Game",
       "Games",
-      "Gender",
       "Gender Bender",
       "Harem",
-      "HaremAction",
-      "Haremv",
-      "Historica",
       "Historical",
       "History",
       "Horror",
@@ -267,27 +1187,16 @@ async cleanHtmlContent(html) {
       "Litrpg",
       "Lolicon",
       "Magic",
-      "Martial",
       "Martial Arts",
       "Mature",
       "Mecha",
       "Military",
       "Modern Life",
       "Movies",
-      "Myster",
       "Mystery",
-      "Mystery.Adventure",
-      "Psychologic",
       "Psychological",
-      "Reincarnatio",
       "Reincarnation",
-      "Romanc",
       "Romance",
-      "Romance.Adventure",
-      "Romance.Harem",
-      "Romance.Smut",
-      "RomanceAction",
-      "Romancem",
       "School Life",
       "Sci-fi",
       "Seinen",
@@ -296,12 +1205,9 @@ async cleanHtmlContent(html) {
       "Shoujo Ai",
       "Shounen",
       "Shounen Ai",
-      "Slice of Lif",
       "Slice Of Life",
-      "Slice of Lifel",
       "Smut",
       "Sports",
-      "Superna",
       "Supernatural",
       "System",
       "Thriller",
@@ -318,36 +1224,24 @@ async cleanHtmlContent(html) {
     values = [
       "action",
       "action-adventure",
-      "actionadventure",
       "adult",
-      "adventcure",
       "adventure",
-      "adventurer",
       "anime-u0026-comics",
-      "bender",
       "booku0026literature",
       "chinese",
-      "comed",
       "comedy",
       "cultivation",
       "drama",
-      "dventure",
       "eastern",
       "ecchi",
       "ecchi-fantasy",
       "fan-fiction",
       "fanfiction",
-      "fantas",
       "fantasy",
-      "fantasyaction",
       "game",
       "games",
-      "gender",
       "gender-bender",
       "harem",
-      "haremaction",
-      "haremv",
-      "historica",
       "historical",
       "history",
       "horror",
@@ -357,27 +1251,16 @@ async cleanHtmlContent(html) {
       "litrpg",
       "lolicon",
       "magic",
-      "martial",
       "martial-arts",
       "mature",
       "mecha",
       "military",
       "modern-life",
       "movies",
-      "myster",
       "mystery",
-      "mystery-adventure",
-      "psychologic",
       "psychological",
-      "reincarnatio",
       "reincarnation",
-      "romanc",
       "romance",
-      "romance-adventure",
-      "romance-harem",
-      "romance-smut",
-      "romanceaction",
-      "romancem",
       "school-life",
       "sci-fi",
       "seinen",
@@ -386,12 +1269,9 @@ async cleanHtmlContent(html) {
       "shoujo-ai",
       "shounen",
       "shounen-ai",
-      "slice-of-lif",
       "slice-of-life",
-      "slice-of-lifel",
       "smut",
       "sports",
-      "superna",
       "supernatural",
       "system",
       "thriller",
@@ -404,10 +1284,18 @@ async cleanHtmlContent(html) {
       "yaoi",
       "yuri",
     ];
+    var cache = this.cachedGenres();
+    var genres = cache
+      ? cache.genres
+      : normalizeGenres(items.map((item, i) => [item, values[i]]));
     filters.push({
       type_name: "GroupFilter",
       name: "Genres",
-      state: formateState("CheckBox", items, values),
+      state: formateState(
+        "CheckBox",
+        genres.map((genre) => genre[0]),
+        genres.map((genre) => genre[1])
+      ),
     });
 
     // Status
@@ -434,6 +1322,56 @@ async cleanHtmlContent(html) {
   }
 
   getSourcePreferences() {
-    throw new Error("getSourcePreferences not implemented");
+    return [
+      {
+        key: "novelbuddy_domain_url",
+        editTextPreference: {
+          title: "Override base domain",
+          summary:
+            "Use a mirror domain when the site moves, e.g. https://novelbuddy.io. Known mirrors are tried automatically when the site is down",
+          value: "",
+          dialogTitle: "Override base domain",
+          dialogMessage: `Leave empty to use ${this.source.baseUrl}`,
+        },
+      },
+      {
+        key: "novelbuddy_default_sort",
+        listPreference: {
+          title: "Default sort for popular",
+          summary: "",
+          valueIndex: 0,
+          entries: ["Views", "Updated", "Created", "Name A-Z", "Rating"],
+          entryValues: ["views", "updated_at", "created_at", "name", "rating"],
+        },
+      },
+      {
+        key: "novelbuddy_chapter_order",
+        listPreference: {
+          title: "Chapter order",
+          summary: "",
+          valueIndex: 0,
+          entries: ["Newest first", "Oldest first"],
+          entryValues: ["newest", "oldest"],
+        },
+      },
+      {
+        key: "novelbuddy_locked_chapters",
+        listPreference: {
+          title: "Locked chapters",
+          summary: "Chapters that must be unlocked on the site",
+          valueIndex: 0,
+          entries: ["Show with a 🔒 mark", "Hide"],
+          entryValues: ["mark", "hide"],
+        },
+      },
+      {
+        key: "novelbuddy_chapter_title",
+        switchPreferenceCompat: {
+          title: "Show chapter title",
+          summary: "Add the chapter title as a heading above the chapter text",
+          value: true,
+        },
+      },
+    ];
   }
 }
@@ -0,0 +1,719 @@
+const mangayomiSources = [
+  {
+    "name": "Novel Updates",
+    "id": 435657824,
+    "baseUrl": "https://www.novelupdates.com",
+    "lang": "en",
+    "typeSource": "single",
+    "iconUrl":
+      "https://raw.githubusercontent.com/kodjodevf/mangayomi-extensions/main/javascript/icon/en.novelupdates.png",
+    "dateFormat": "",
+    "dateFormatLocale": "",
+    "isNsfw": false,
+    "hasCloudflare": true,
+    "sourceCodeUrl": "",
+    "apiUrl": "",
+    "version": "0.0.8",
+    "isManga": false,
+    "itemType": 2,
+    "isFullData": false,
+    "appMinVerReq": "0.5.0",
+    "additionalParams": "",
+    "sourceCodeLanguage": 1,
+    "notes": "This extension requires you to login to view the chapters!",
+    "pkgPath": "novel/src/en/novelupdates.js"
+  }
+];
+
+// Novel Updates only indexes novels: every release links to the
+// translator's own site through /extnu/{id}/, so chapter text is read from
+// whatever site the link redirects to.
+
+// Request pacing: at most this many requests per second to one host, and
+// transient failures (timeouts, 429, 5xx) are tried up to maxAttempts times.
+const requestsPerSecond = 2;
+const maxAttempts = 3;
+const retryStatusCodes = [408, 429, 500, 502, 503, 504, 520, 521, 522, 523, 524];
+// Longest Retry-After worth waiting for; past it the response is returned
+// as is and reported as rate limiting.
+const maxRetryAfter = 5000;
+// Earliest time the next request to each host may start
+const hostSlots = {};
+
+// Whether the runtime can pause. The app's runtime has no timers and nothing
+// else pauses without spinning on the clock, so there requests are neither
+// paced nor retried: a retry sent at once would only add to the load.
+function canWait() {
+  return typeof setTimeout === "function";
+}
+
+// Case-insensitive header lookup, as servers differ in header casing.
+function headerValue(res, name) {
+  var headers = res.headers ?? {};
+  var key = Object.keys(headers).find((item) => item.toLowerCase() === name);
+  return key ? `${headers[key]}` : null;
+}
+
+// Delay asked for by a Retry-After header (seconds or an HTTP date), in
+// milliseconds, or null when there is none.
+function retryAfter(res, now = Date.now()) {
+  var value = headerValue(res, "retry-after");
+  if (value === null) return null;
+  value = value.trim();
+  if (/^\d+$/.test(value)) return parseInt(value) * 1000;
+  var date = Date.parse(value);
+  return isNaN(date) ? null : Math.max(0, date - now);
+}
+
+// Anti-bot interstitials (Cloudflare, DDoS-Guard) and captcha walls served
+// in place of the page. Captcha markup only counts on an error status, as
+// normal pages may embed a captcha for comments.
+function isChallenge(res) {
+  if ((headerValue(res, "cf-mitigated") ?? "").includes("challenge")) return true;
+  var body = res.body ?? "";
+  if (
+    /<title>\s*(just a moment|attention required|please wait|checking your browser|ddos-guard)|cf-browser-verification|cf_chl_opt|\/cdn-cgi\/challenge-platform\/|id="challenge-form"/i.test(
+      body
+    )
+  )
+    return true;
+  return res.statusCode >= 400 && /captcha/i.test(body);
+}
+
+// The Novel Updates login form, served instead of a release when the
+// session cookies are missing or expired.
+function isLoginPage(body) {
+  return /id="loginform"|<title>\s*login\b|action="[^"]*\/login\/?["?]/i.test(body ?? "");
+}
+
+// Parse chapter dates such as "2 hours ago", "yesterday", "Mar 3, 2024",
+// "3 March 2024" or "2024-03-03" into a millisecond timestamp string.
+// Returns null when the text is not a recognisable date.
+function parseDate(text, now = Date.now()) {
+  if (!text) return null;
+  var value = text.replace(/\s+/g, " ").trim().toLowerCase();
+  if (!value) return null;
+
+  var day = 24 * 60 * 60 * 1000;
+  if (/^(just now|now|today)$/.test(value)) return `${now}`;
+  if (value === "yesterday") return `${now - day}`;
+
+  var units = {
+    s: 1000,
+    sec: 1000,
+    second: 1000,
+    m: 60 * 1000,
+    min: 60 * 1000,
+    minute: 60 * 1000,
+    h: 60 * 60 * 1000,
+    hr: 60 * 60 * 1000,
+    hour: 60 * 60 * 1000,
+    d: day,
+    day: day,
+    w: 7 * day,
+    week: 7 * day,
+    month: 30 * day,
+    y: 365 * day,
+    yr: 365 * day,
+    year: 365 * day,
+  };
+  var relative = value.match(
+    /^(\d+|an?|one)\s*(second|sec|minute|min|hour|hr|day|week|month|year|yr|s|m|h|d|w|y)s?\.?( ago)?$/
+  );
+  if (relative && (relative[3] || relative[2].length > 1)) {
+    var amount = /^\d+$/.test(relative[1]) ? parseInt(relative[1]) : 1;
+    return `${now - amount * units[relative[2]]}`;
+  }
+
+  var months = [
+    "jan",
+    "feb",
+    "mar",
+    "apr",
+    "may",
+    "jun",
+    "jul",
+    "aug",
+    "sep",
+    "oct",
+    "nov",
+    "dec",
+  ];
+  function monthIndex(name) {
+    return months.indexOf(name.substring(0, 3));
+  }
+  function build(year, month, date) {
+    if (month < 0 || month > 11 || date < 1 || date > 31) return null;
+    return `${new Date(year, month, date).valueOf()}`;
+  }
+
+  var match = value.match(/^([a-z]+)\.? (\d{1,2})(?:st|nd|rd|th)?,? (\d{4})/);
+  if (match && monthIndex(match[1]) != -1)
+    return build(parseInt(match[3]), monthIndex(match[1]), parseInt(match[2]));
+  match = value.match(/^(\d{1,2})(?:st|nd|rd|th)? ([a-z]+)\.?,? (\d{4})/);
+  if (match && monthIndex(match[2]) != -1)
+    return build(parseInt(match[3]), monthIndex(match[2]), parseInt(match[1]));
+  match = value.match(/^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})/);
+  if (match)
+    return build(parseInt(match[1]), parseInt(match[2]) - 1, parseInt(match[3]));
+  match = value.match(/^(\d{1,2})[-/.](\d{1,2})[-/.](\d{4})/);
+  if (match)
+    return build(parseInt(match[3]), parseInt(match[1]) - 1, parseInt(match[2]));
+
+  var parsed = Date.parse(text);
+  return isNaN(parsed) ? null : `${parsed}`;
+}
+
+// UTF-8 text that was decoded as Windows-1252 somewhere on its way to the
+// page, and what it should read. "â€" alone is a right quote whose last byte
+// got lost, so it comes last.
+const mojibake = [
+  ["â€™", "’"],
+  ["â€˜", "‘"],
+  ["â€œ", "“"],
+  ["â€\u009d", "”"],
+  ["â€“", "–"],
+  ["â€”", "—"],
+  ["â€¦", "…"],
+  ["â€¢", "•"],
+  ["â€", "”"],
+  ["Ã©", "é"],
+  ["Ã¨", "è"],
+  ["Ãª", "ê"],
+  ["Ã¢", "â"],
+  ["Ã®", "î"],
+  ["Ã´", "ô"],
+  ["Ã¤", "ä"],
+  ["Ã¶", "ö"],
+  ["Ã¼", "ü"],
+  ["Ã±", "ñ"],
+  ["Ã§", "ç"],
+  ["Â\u00a0", " "],
+  ["Â ", " "],
+];
+
+const entityNames = {
+  amp: "&",
+  lt: "<",
+  gt: ">",
+  quot: '"',
+  apos: "'",
+  nbsp: "\u00a0",
+  hellip: "…",
+  mdash: "—",
+  ndash: "–",
+  lsquo: "‘",
+  rsquo: "’",
+  ldquo: "“",
+  rdquo: "”",
+  laquo: "«",
+  raquo: "»",
+  middot: "·",
+  bull: "•",
+};
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, code) => {
+    if (code[0] === "#") {
+      var num =
+        code[1].toLowerCase() === "x"
+          ? parseInt(code.slice(2), 16)
+          : parseInt(code.slice(1));
+      return num > 0 && num <= 0x10ffff ? String.fromCodePoint(num) : match;
+    }
+    return entityNames[code.toLowerCase()] ?? match;
+  });
+}
+
+// Decode what scraped text keeps after the DOM has read it: literal escapes
+// ("u0026", "\u2019"), entities, also double-encoded ("&amp;#8217;"),
+// mojibake, zero-width characters and non-breaking spaces. Line breaks stay.
+function normalizeText(text) {
+  if (!text) return "";
+  // Only \u00XX and \u20XX, so words such as "dubbed" are left alone
+  var value = `${text}`.replace(
+    /\\?u(00[0-9a-f]{2}|20[0-9a-f]{2})/gi,
+    (m, code) => String.fromCharCode(parseInt(code, 16))
+  );
+  for (var i = 0; i < 3; i++) {
+    var decoded = decodeEntities(value);
+    if (decoded === value) break;
+    value = decoded;
+  }
+  mojibake.forEach(([bad, good]) => {
+    value = value.split(bad).join(good);
+  });
+  return value
+    .replace(/[\u200b-\u200d\u2060\ufeff\u00ad]/g, "")
+    .replace(/[\u00a0\u2007\u202f]/g, " ")
+    .replace(/[ \t\r\f\v]+/g, " ")
+    .replace(/ *\n */g, "\n")
+    .trim();
+}
+
+// Text made safe to put inside the chapter html.
+function escapeHtml(text) {
+  return text.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+}
+
+// Html this source returns: an optional title heading, then escaped
+// paragraphs. Translator pages are whole documents, never only this.
+function isCleanedHtml(html) {
+  return /^(<h2>[^<]*<\/h2><hr>)?<p>[^<]*<\/p>(\n<p>[^<]*<\/p>)*$/.test(html);
+}
+
+// Release names are abbreviated ("v2c3", "c12 part1", "c5-6"); spell out the
+// volume and chapter so they read, and number, like other sources' chapters.
+function releaseName(text) {
+  return normalizeText(text)
+    .replace(/\s+/g, " ")
+    .replace(/^v(\d+)\s*(?=c\d)/i, "Volume $1 ")
+    .replace(/(^|\s)c(\d+(?:\.\d+)?)(?=\b|-)/i, "$1Chapter $2")
+    .replace(/\bpart\s*(\d+)/i, "Part $1");
+}
+
+class DefaultExtension extends MProvider {
+  constructor() {
+    super();
+    this.client = new Client();
+  }
+
+  // Session cookies only go to Novel Updates, never to translator sites.
+  getHeaders(url) {
+    var baseUrl = this.source.baseUrl;
+    var headers = {
+      Referer: `${baseUrl}/`,
+    };
+    var cookies = (new SharedPreferences().get("novelupdates_cookies") ?? "").trim();
+    if (cookies && (url === baseUrl || url.startsWith(`${baseUrl}/`))) {
+      headers.Cookie = cookies;
+    }
+    return headers;
+  }
+
+  absUrl(url) {
+    if (!url) return "";
+    if (url.startsWith("//")) return "https:" + url;
+    if (url.startsWith("http")) return url;
+    return this.source.baseUrl + (url.startsWith("/") ? "" : "/") + url;
+  }
+
+  // Pause for `ms`; returns at once where the runtime cannot pause.
+  async wait(ms) {
+    if (ms <= 0 || !canWait()) return;
+    await new Promise((resolve) => setTimeout(resolve, ms));
+  }
+
+  // Wait for the next free slot of the url's host and reserve the one after.
+  async throttle(url) {
+    var host = (url.match(/^https?:\/\/([^/]+)/) ?? [])[1] ?? "";
+    var now = Date.now();
+    var slot = Math.max(now, hostSlots[host] ?? 0);
+    hostSlots[host] = slot + 1000 / requestsPerSecond;
+    await this.wait(slot - now);
+  }
+
+  // GET one url, retrying timeouts and retryable status codes after the
+  // server's Retry-After or an exponential backoff (1s, 2s, ...). The delay
+  // holds back every request to that host, not just the retry. A Retry-After
+  // longer than maxRetryAfter is not waited for, and nothing is retried where
+  // the runtime cannot wait. Returns the last response, whatever its status.
+  async getWithRetry(url) {
+    var host = (url.match(/^https?:\/\/([^/]+)/) ?? [])[1] ?? "";
+    var attempts = canWait() ? maxAttempts : 1;
+    for (var attempt = 1; ; attempt++) {
+      await this.throttle(url);
+      var res = null;
+      var delay = 1000 * Math.pow(2, attempt - 1);
+      try {
+        res = await this.client.get(url, this.getHeaders(url));
+      } catch (e) {
+        var transient = /timed? ?out|timeout|connection reset/i.test(`${e.message ?? e}`);
+        if (!transient || attempt >= attempts) throw e;
+      }
+      if (res) {
+        // Waiting does not get past a challenge
+        if (
+          !retryStatusCodes.includes(res.statusCode) ||
+          attempt >= attempts ||
+          isChallenge(res)
+        )
+          return res;
+        var asked = retryAfter(res);
+        if (asked !== null && asked > maxRetryAfter) return res;
+        delay = asked ?? delay;
+      }
+      hostSlots[host] = Math.max(hostSlots[host] ?? 0, Date.now() + delay);
+    }
+  }
+
+  async fetch(slug) {
+    var url = this.absUrl(slug);
+    var res = await this.getWithRetry(url);
+    var host = url.replace(/^https?:\/\//, "").split("/")[0];
+    if (isChallenge(res)) {
+      throw new Error(
+        `${host} is showing a Cloudflare/captcha check. Open the source in WebView, complete it, then try again.`
+      );
+    }
+    if (res.statusCode == 429) {
+      throw new Error(`${host} is rate limiting requests (HTTP 429), try again later`);
+    }
+    if (res.statusCode >= 400) throw new Error(`HTTP ${res.statusCode} for ${url}`);
+    return res;
+  }
+
+  async request(slug) {
+    return new Document((await this.fetch(slug)).body);
+  }
+
+  // Rankings, latest releases, the series finder and tag pages share the
+  // same result boxes.
+  parseList(doc) {
+    var baseUrl = this.source.baseUrl;
+    var list = [];
+    doc.select(".search_main_box_nu").forEach((item) => {
+      var linkSection = item.selectFirst(".search_title a");
+      if (!linkSection) return;
+      var link = this.absUrl(linkSection.attr("href")).replace(baseUrl, "");
+      var name = normalizeText(linkSection.text);
+      var img = item.selectFirst(".search_img_nu img");
+      var imageUrl = img ? this.absUrl(img.attr("data-src") || img.attr("src")) : "";
+      list.push({ name, link, imageUrl });
+    });
+    return list;
+  }
+
+  async listPage(slug) {
+    var doc = await this.request(slug);
+    return {
+      list: this.parseList(doc),
+      hasNextPage: !!doc.selectFirst(".digg_pagination a.next_page"),
+    };
+  }
+
+  async getPopular(page) {
+    return await this.listPage(`/series-ranking/?rank=popmonth&pg=${page}`);
+  }
+
+  async getLatestUpdates(page) {
+    return await this.listPage(`/latest-series/?st=1&pg=${page}`);
+  }
+
+  // A tag is browsed on its own page, as the series finder only takes tag
+  // ids; the other filters go to the series finder.
+  async search(query, page, filters) {
+    function checkBox(state) {
+      var rd = [];
+      state.forEach((item) => {
+        if (item.state) {
+          rd.push(item.value);
+        }
+      });
+      return rd;
+    }
+    function selectFiler(filter) {
+      return filter.values[filter.state].value;
+    }
+
+    var isFiltersAvailable = filters && filters.length != 0;
+    var genres = isFiltersAvailable ? checkBox(filters[0].state) : [];
+    var types = isFiltersAvailable ? checkBox(filters[1].state) : [];
+    var tag = isFiltersAvailable ? filters[2].state.trim() : "";
+    var sort = isFiltersAvailable ? selectFiler(filters[3]) : "srank";
+
+    query = query.trim();
+    if (tag && !query) {
+      var tagSlug = tag
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, "-")
+        .replace(/^-|-$/g, "");
+      return await this.listPage(`/stag/${tagSlug}/?pg=${page}`);
+    }
+
+    var slug = "/series-finder/?sf=1";
+    if (query) slug += `&sh=${encodeURIComponent(query)}`;
+    if (types.length) slug += `&nt=${types.join(",")}`;
+    if (genres.length) slug += `&gi=${genres.join(",")}&mgi=and`;
+    slug += `&sort=${sort}&order=desc&pg=${page}`;
+    return await this.listPage(slug);
+  }
+
+  // Chapters are the rows of the release table: one row per release, with
+  // its date and translation group, newest first. The table is paginated.
+  parseReleases(doc) {
+    var chapters = [];
+    doc.select("#myTable tr").forEach((row) => {
+      var release = row.selectFirst("a.chp-release");
+      if (!release) return;
+      var cells = row.select("td");
+      var group = row.selectFirst("a[href*='/group/']") ?? (cells.length > 1 ? cells[1] : null);
+      var date = cells.length ? cells[0].text.trim() : "";
+      // Dates are month/day/two-digit year
+      var short = date.match(/^(\d{1,2})\/(\d{1,2})\/(\d{2})$/);
+      if (short) date = `${short[1]}/${short[2]}/20${short[3]}`;
+      chapters.push({
+        name: releaseName(release.attr("title") || release.text),
+        url: this.absUrl(release.attr("href")).replace(this.source.baseUrl, ""),
+        dateUpload: parseDate(date),
+        scanlator: group ? normalizeText(group.text) : null,
+      });
+    });
+    return chapters;
+  }
+
+  async getDetail(url) {
+    function statusCode(status) {
+      if (/completed/i.test(status)) return 1;
+      if (/hiatus/i.test(status)) return 2;
+      if (/dropped|discontinued/i.test(status)) return 3;
+      if (/ongoing/i.test(status)) return 0;
+      return 5;
+    }
+    var baseUrl = this.source.baseUrl;
+    var slug = this.absUrl(url).replace(baseUrl, "");
+    var link = baseUrl + slug;
+
+    var doc = await this.request(slug);
+
+    var titleSection = doc.selectFirst(".seriestitlenu");
+    if (!titleSection) throw new Error(`Series title not found on ${link}`);
+    var name = normalizeText(titleSection.text);
+    var cover = doc.selectFirst(".seriesimg img") ?? doc.selectFirst(".serieseditimg img");
+    var imageUrl = cover ? this.absUrl(cover.attr("src")) : "";
+    var author = doc
+      .select("#showauthors a")
+      .map((a) => normalizeText(a.text))
+      .filter((a) => a)
+      .join(", ");
+    var genre = doc
+      .select("#seriesgenre a")
+      .map((a) => normalizeText(a.text))
+      .filter((g) => g);
+    var statusSection = doc.selectFirst("#editstatus");
+    var status = statusSection ? statusCode(statusSection.text) : 5;
+    var descriptionSection = doc.selectFirst("#editdescription");
+    var description = descriptionSection
+      ? descriptionSection
+          .select("p")
+          .map((p) => normalizeText(p.text))
+          .filter((p) => p)
+          .join("\n\n") || normalizeText(descriptionSection.text)
+      : "";
+
+    var chapters = this.parseReleases(doc);
+    var lastPage = 1;
+    doc.select(".digg_pagination a").forEach((a) => {
+      var match = (a.attr("href") ?? "").match(/[?&]pg=(\d+)/);
+      if (match) lastPage = Math.max(lastPage, parseInt(match[1]));
+    });
+    var base = slug.split("?")[0];
+    for (var page = 2; page <= lastPage; page++) {
+      chapters.push(...this.parseReleases(await this.request(`${base}?pg=${page}`)));
+    }
+
+    // The same release can show on two pages when the table moves on
+    var seen = {};
+    chapters = chapters.filter((chapter) => {
+      if (seen[chapter.url]) return false;
+      seen[chapter.url] = true;
+      return true;
+    });
+
+    return {
+      name,
+      imageUrl,
+      description,
+      link,
+      author,
+      status,
+      genre,
+      chapters,
+    };
+  }
+
+  // The release link redirects to the translator's site.
+  async getHtmlContent(name, url) {
+    var res = await this.fetch(url);
+    if (isLoginPage(res.body)) {
+      throw new Error(
+        "Novel Updates asks to log in for this chapter. Log in on the website (open the source in WebView), then copy your session cookies into the source settings."
+      );
+    }
+    var html = await this.cleanHtmlContent(res.body);
+    if (!html) throw new Error(`No chapter text found on ${res.request?.url ?? this.absUrl(url)}`);
+    return name ? `<h2>${escapeHtml(name)}</h2><hr>${html}` : html;
+  }
+
+  // Translator sites differ, so try the usual reader containers before
+  // falling back to the page's paragraphs.
+  async cleanHtmlContent(html) {
+    // Already cleaned content handed back by the app
+    if (typeof html === "string" && isCleanedHtml(html)) return html;
+    var doc = typeof html === "string" ? new Document(html) : html;
+    var candidates = [
+      "#chapter-content",
+      ".chapter-content",
+      "#chr-content",
+      ".reading-content",
+      ".entry-content",
+      ".post-content",
+      ".text-left",
+      "#content",
+      "article",
+      "body",
+    ];
+    for (var selector of candidates) {
+      var container = doc.selectFirst(selector);
+      if (!container) continue;
+      var content = container
+        .select("p")
+        .filter((item) => !item.parent || !/share|comment|nav/i.test(item.parent.className ?? ""))
+        .map((item) => normalizeText(item.text))
+        .filter((text) => text)
+        .map((text) => `<p>${escapeHtml(text)}</p>`)
+        .join("\n");
+      if (content) return content;
+    }
+    return "";
+  }
+
+  getFilterList() {
+    function formateState(type_name, items, values) {
+      var state = [];
+      for (var i = 0; i < items.length; i++) {
+        state.push({ type_name: type_name, name: items[i], value: values[i] });
+      }
+      return state;
+    }
+
+    var filters = [];
+    var items = [];
+    var values = [];
+
+    // Genres, all of which must match (series finder ids)
+    items = [
+      "Action",
+      "Adult",
+      "Adventure",
+      "Comedy",
+      "Drama",
+      "Ecchi",
+      "Fantasy",
+      "Gender Bender",
+      "Harem",
+      "Historical",
+      "Horror",
+      "Josei",
+      "Martial Arts",
+      "Mature",
+      "Mecha",
+      "Mystery",
+      "Psychological",
+      "Romance",
+      "School Life",
+      "Sci-fi",
+      "Seinen",
+      "Shoujo",
+      "Shoujo Ai",
+      "Shounen",
+      "Shounen Ai",
+      "Slice of Life",
+      "Smut",
+      "Sports",
+      "Supernatural",
+      "Tragedy",
+      "Wuxia",
+      "Xianxia",
+      "Xuanhuan",
+      "Yaoi",
+      "Yuri",
+    ];
+    values = [
+      "8",
+      "280",
+      "13",
+      "17",
+      "9",
+      "292",
+      "5",
+      "168",
+      "3",
+      "330",
+      "343",
+      "324",
+      "14",
+      "4",
+      "10",
+      "245",
+      "486",
+      "15",
+      "6",
+      "11",
+      "18",
+      "157",
+      "851",
+      "12",
+      "1692",
+      "7",
+      "281",
+      "1357",
+      "16",
+      "132",
+      "479",
+      "480",
+      "3954",
+      "560",
+      "922",
+    ];
+    filters.push({
+      type_name: "GroupFilter",
+      name: "Genres",
+      state: formateState("CheckBox", items, values),
+    });
+
+    // Novel type
+    items = ["Light Novel", "Published Novel", "Web Novel"];
+    values = ["2443", "26874", "2444"];
+    filters.push({
+      type_name: "GroupFilter",
+      name: "Type",
+      state: formateState("CheckBox", items, values),
+    });
+
+    // Tag
+    filters.push({
+      type_name: "TextFilter",
+      name: "Tag (without a search term, e.g. Weak to Strong)",
+      state: "",
+    });
+
+    // Sort order
+    items = ["Ranking", "Rating", "Readers", "Chapters", "Last updated", "Title"];
+    values = ["srank", "srate", "sread", "srel", "sdate", "abc"];
+    filters.push({
+      type_name: "SelectFilter",
+      name: "Order by",
+      state: 0,
+      values: formateState("SelectOption", items, values),
+    });
+
+    return filters;
+  }
+
+  getSourcePreferences() {
+    return [
+      {
+        key: "novelupdates_cookies",
+        editTextPreference: {
+          title: "Session cookies",
+          summary:
+            "Needed to open chapters. Log in on novelupdates.com, then paste the cookies of that session (wordpress_logged_in_…=…; …)",
+          value: "",
+          dialogTitle: "Session cookies",
+          dialogMessage: "Cookie header of a logged-in Novel Updates session",
+        },
+      },
+    ];
+  }
+}
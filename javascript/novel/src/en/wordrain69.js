@@ -0,0 +1,1440 @@
+/**
+ * wordrain69.js
+ * Mangayomi / BetterNovel extension for https://wordrain69.com
+ *
+ * - Uses runtime Client and Document (per CONTRIBUTING-JS.md)
+ * - Implements the MProvider contract through `DefaultExtension`:
+ *     getPopular / getLatestUpdates / search => { list: [{ name, link, imageUrl }], hasNextPage }
+ *     getDetail => { name, imageUrl, description, author, genre:[], status:int, link, chapters:[] }
+ *     getHtmlContent / cleanHtmlContent => single HTML string for the novel reader
+ *
+ * Notes:
+ * - The scraping lives in NovelFullTheme, shared by WordPress / NovelFull style
+ *   sites (copied from allnovel.js); Wordrain69 supplies its settings in
+ *   `DefaultExtension.site()`.
+ * - Wordrain69 runs the Madara theme: novels are "wp-manga" posts and the chapter
+ *   list is loaded through admin-ajax, so search and the chapter list are overridden.
+ */
+
+const mangayomiSources = [
+  {
+    "name": "Wordrain69",
+    "id": 918941482,
+    "baseUrl": "https://wordrain69.com",
+    "lang": "en",
+    "typeSource": "single",
+    "iconUrl":
+      "https://raw.githubusercontent.com/kodjodevf/mangayomi-extensions/main/javascript/icon/en.wordrain69.png",
+    "dateFormat": "",
+    "dateFormatLocale": "",
+    "isNsfw": false,
+    "hasCloudflare": false,
+    "sourceCodeUrl": "",
+    "apiUrl": "",
+    "version": "0.0.13",
+    "isManga": false,
+    "itemType": 2,
+    "isFullData": false,
+    "appMinVerReq": "0.5.0",
+    "additionalParams": "",
+    "sourceCodeLanguage": 1,
+    "notes": "",
+    "pkgPath": "novel/src/en/wordrain69.js"
+  }
+];
+
+/* ----------------- Helpers ----------------- */
+
+/**
+ * True when a response means the domain itself is gone: a server error or a
+ * registrar "domain for sale" page instead of the site.
+ */
+function isUnavailable(res) {
+  if (res.statusCode >= 500) return true;
+  return /domain (name )?(is|may be) for sale|buy this domain|this domain (has expired|is parked)|sedoparking|parkingcrew|bodis\.com/i.test(
+    res.body || ""
+  );
+}
+
+// The app's JS runtime has no `URL` global, so resolve links by hand.
+function toAbsolute(url, base) {
+  if (!url) return null;
+  const u = url.trim();
+  if (/^https?:\/\//i.test(u)) return u;
+  if (u.startsWith("//")) return "https:" + u;
+  const origin = base.replace(/\/$/, "");
+  return u.startsWith("/") ? origin + u : `${origin}/${u}`;
+}
+
+function fixImageUrl(raw, base) {
+  if (!raw) return null;
+  let u = raw.trim();
+
+  // handle protocol-less //domain/path
+  if (u.startsWith("//")) u = "https:" + u;
+
+  // relative path
+  if (u.startsWith("/")) u = base.replace(/\/$/, "") + u;
+
+  return u;
+}
+
+function mapStatusToInt(statusText) {
+  if (!statusText) return 5; // unknown
+  const s = statusText.toLowerCase();
+  if (s.includes("ongoing") || s.includes("updating") || s.includes("serial")) return 0;
+  if (s.includes("complete") || s.includes("completed") || s.includes("finished")) return 1;
+  if (s.includes("hiatus")) return 2;
+  if (s.includes("canceled") || s.includes("cancelled")) return 3;
+  if (s.includes("publishingfinished") || s.includes("publishing finished")) return 4;
+  return 5; // unknown
+}
+
+/**
+ * Request pacing: at most `requestsPerSecond` requests to one host, and
+ * transient failures (timeouts, 429, 5xx) are tried up to `maxAttempts` times.
+ */
+const requestsPerSecond = 2;
+const maxAttempts = 3;
+const retryStatusCodes = [408, 429, 500, 502, 503, 504, 520, 521, 522, 523, 524];
+// Longest Retry-After worth waiting for; past it the response is returned as is and reported as rate limiting
+const maxRetryAfter = 5000;
+// Earliest time the next request to each host may start
+const hostSlots = {};
+
+function hostOf(url) {
+  const match = (url || "").match(/^https?:\/\/([^/]+)/);
+  return match ? match[1] : "";
+}
+
+/**
+ * Response header by case-insensitive name, or null.
+ */
+function headerValue(res, name) {
+  const headers = res.headers || {};
+  const key = Object.keys(headers).find((k) => k.toLowerCase() === name);
+  return key ? `${headers[key]}` : null;
+}
+
+/**
+ * Delay asked for by a Retry-After header (seconds or an HTTP date), in
+ * milliseconds, or null when there is none.
+ */
+function retryAfter(res, now = Date.now()) {
+  const header = headerValue(res, "retry-after");
+  if (header === null) return null;
+  const value = header.trim();
+  if (/^\d+$/.test(value)) return parseInt(value) * 1000;
+  const date = Date.parse(value);
+  return isNaN(date) ? null : Math.max(0, date - now);
+}
+
+/**
+ * Whether the runtime can pause. The app's runtime has no timers and nothing
+ * else pauses without spinning on the clock, so there requests are neither
+ * paced nor retried: a retry sent at once would only add to the load.
+ */
+function canWait() {
+  return typeof setTimeout === "function";
+}
+
+/**
+ * Pause for `ms`; returns at once where the runtime cannot pause.
+ */
+async function wait(ms) {
+  if (ms <= 0 || !canWait()) return;
+  await new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Wait for the next free slot of the url's host and reserve the one after.
+ */
+async function throttle(url) {
+  const host = hostOf(url);
+  const now = Date.now();
+  const slot = Math.max(now, hostSlots[host] || 0);
+  hostSlots[host] = slot + 1000 / requestsPerSecond;
+  await wait(slot - now);
+}
+
+/**
+ * True for anti-bot interstitials (Cloudflare, DDoS-Guard) and captcha walls
+ * served in place of the page. WordPress themes often embed a captcha for
+ * comments, so captcha markup only counts on an error status.
+ */
+function isChallenge(res) {
+  if ((headerValue(res, "cf-mitigated") || "").includes("challenge")) return true;
+  const body = res.body || "";
+  if (/<title>\s*(just a moment|attention required|please wait|checking your browser|ddos-guard)|cf-browser-verification|cf_chl_opt|\/cdn-cgi\/challenge-platform\/|id="challenge-form"/i.test(body)) {
+    return true;
+  }
+  return res.statusCode >= 400 && /captcha/i.test(body);
+}
+
+/**
+ * Raised when a challenge page comes back. Code that falls back on other
+ * failures (the chapter archive) lets this one through so the user sees it.
+ */
+class ChallengeError extends Error {
+  constructor(url) {
+    super(`${hostOf(url)} is showing a Cloudflare/captcha check. Open the source in WebView, complete it, then try again.`);
+    this.name = "ChallengeError";
+  }
+}
+
+/**
+ * Locked or VIP chapters, which must be unlocked on the site. Chapter links
+ * (or their list row) carry a lock class or icon; chapter pages show an
+ * unlock box or only a teaser with an unlock notice.
+ */
+const lockedMark = "🔒";
+const lockedClass = /(^|[\s_-])(locked?|vip|premium|paid)([\s_-]|$)/i;
+const lockedText = /this chapter is locked|unlock (this|the) chapter|(purchase|buy) this chapter|vip (only|chapter)|premium chapter|coins? to (read|unlock)/i;
+
+function isLockedLink(a) {
+  const row = a.parent && a.parent.localName === "li" ? a.parent : null;
+  return [a, row].some(
+    (el) =>
+      el &&
+      (lockedClass.test(el.className || "") ||
+        !!el.selectFirst(".fa-lock, .icon-lock, .lock, .locked, .vip, .premium, .paid, [data-locked=true]") ||
+        (el.text || "").includes(lockedMark))
+  );
+}
+
+function isLockedContent(document, contentNode) {
+  if (document.selectFirst(".chapter-locked, .locked-content, .paywall, .vip-content, .premium-content, .btn-unlock, .unlock-chapter")) {
+    return true;
+  }
+  return !!contentNode && lockedText.test(contentNode.text || "");
+}
+
+/**
+ * UTF-8 text that was decoded as Windows-1252 somewhere on its way to the
+ * page, and what it should read. "â€" alone is a right quote whose last byte
+ * got lost, so it comes last.
+ */
+const mojibake = [
+  ["â€™", "’"],
+  ["â€˜", "‘"],
+  ["â€œ", "“"],
+  ["â€\u009d", "”"],
+  ["â€“", "–"],
+  ["â€”", "—"],
+  ["â€¦", "…"],
+  ["â€¢", "•"],
+  ["â€", "”"],
+  ["Ã©", "é"],
+  ["Ã¨", "è"],
+  ["Ãª", "ê"],
+  ["Ã¢", "â"],
+  ["Ã®", "î"],
+  ["Ã´", "ô"],
+  ["Ã¤", "ä"],
+  ["Ã¶", "ö"],
+  ["Ã¼", "ü"],
+  ["Ã±", "ñ"],
+  ["Ã§", "ç"],
+  ["Â\u00a0", " "],
+  ["Â ", " "],
+];
+
+const entityNames = {
+  amp: "&",
+  lt: "<",
+  gt: ">",
+  quot: '"',
+  apos: "'",
+  nbsp: "\u00a0",
+  hellip: "…",
+  mdash: "—",
+  ndash: "–",
+  lsquo: "‘",
+  rsquo: "’",
+  ldquo: "“",
+  rdquo: "”",
+  laquo: "«",
+  raquo: "»",
+  middot: "·",
+  bull: "•",
+};
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, code) => {
+    if (code[0] === "#") {
+      const num = code[1].toLowerCase() === "x" ? parseInt(code.slice(2), 16) : parseInt(code.slice(1));
+      return num > 0 && num <= 0x10ffff ? String.fromCodePoint(num) : match;
+    }
+    return entityNames[code.toLowerCase()] ?? match;
+  });
+}
+
+/**
+ * normalizeText(text)
+ * Decodes what scraped text keeps after the DOM has read it: literal escapes
+ * ("u0026", "\u2019"), entities, also double-encoded ("&amp;#8217;"),
+ * mojibake, zero-width characters and non-breaking spaces. Line breaks stay.
+ */
+function normalizeText(text) {
+  if (!text) return "";
+  // Only \u00XX and \u20XX, so words such as "dubbed" are left alone
+  let value = `${text}`.replace(/\\?u(00[0-9a-f]{2}|20[0-9a-f]{2})/gi, (m, code) => String.fromCharCode(parseInt(code, 16)));
+  for (let i = 0; i < 3; i++) {
+    const decoded = decodeEntities(value);
+    if (decoded === value) break;
+    value = decoded;
+  }
+  mojibake.forEach(([bad, good]) => {
+    value = value.split(bad).join(good);
+  });
+  return value
+    .replace(/[\u200b-\u200d\u2060\ufeff\u00ad]/g, "")
+    .replace(/[\u00a0\u2007\u202f]/g, " ")
+    .replace(/[ \t\r\f\v]+/g, " ")
+    .replace(/ *\n */g, "\n")
+    .trim();
+}
+
+function cleanText(t) {
+  if (!t) return null;
+  return normalizeText(t).replace(/\s+/g, " ") || null;
+}
+
+// Parse chapter dates such as "2 hours ago", "yesterday", "Mar 3, 2024",
+// "3 March 2024" or "2024-03-03" into a millisecond timestamp string.
+// Returns null when the text is not a recognisable date.
+function parseDate(text, now = Date.now()) {
+  if (!text) return null;
+  const value = text.replace(/\s+/g, " ").trim().toLowerCase();
+  if (!value) return null;
+
+  const day = 24 * 60 * 60 * 1000;
+  if (/^(just now|now|today)$/.test(value)) return `${now}`;
+  if (value === "yesterday") return `${now - day}`;
+
+  const units = {
+    s: 1000,
+    sec: 1000,
+    second: 1000,
+    m: 60 * 1000,
+    min: 60 * 1000,
+    minute: 60 * 1000,
+    h: 60 * 60 * 1000,
+    hr: 60 * 60 * 1000,
+    hour: 60 * 60 * 1000,
+    d: day,
+    day: day,
+    w: 7 * day,
+    week: 7 * day,
+    month: 30 * day,
+    y: 365 * day,
+    yr: 365 * day,
+    year: 365 * day,
+  };
+  const relative = value.match(
+    /^(\d+|an?|one)\s*(second|sec|minute|min|hour|hr|day|week|month|year|yr|s|m|h|d|w|y)s?\.?( ago)?$/
+  );
+  if (relative && (relative[3] || relative[2].length > 1)) {
+    const amount = /^\d+$/.test(relative[1]) ? parseInt(relative[1]) : 1;
+    return `${now - amount * units[relative[2]]}`;
+  }
+
+  const months = [
+    "jan",
+    "feb",
+    "mar",
+    "apr",
+    "may",
+    "jun",
+    "jul",
+    "aug",
+    "sep",
+    "oct",
+    "nov",
+    "dec",
+  ];
+  function monthIndex(name) {
+    return months.indexOf(name.substring(0, 3));
+  }
+  function build(year, month, date) {
+    if (month < 0 || month > 11 || date < 1 || date > 31) return null;
+    return `${new Date(year, month, date).valueOf()}`;
+  }
+
+  let match = value.match(/^([a-z]+)\.? (\d{1,2})(?:st|nd|rd|th)?,? (\d{4})/);
+  if (match && monthIndex(match[1]) != -1)
+    return build(parseInt(match[3]), monthIndex(match[1]), parseInt(match[2]));
+  match = value.match(/^(\d{1,2})(?:st|nd|rd|th)? ([a-z]+)\.?,? (\d{4})/);
+  if (match && monthIndex(match[2]) != -1)
+    return build(parseInt(match[3]), monthIndex(match[2]), parseInt(match[1]));
+  match = value.match(/^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})/);
+  if (match)
+    return build(parseInt(match[1]), parseInt(match[2]) - 1, parseInt(match[3]));
+  match = value.match(/^(\d{1,2})[-/.](\d{1,2})[-/.](\d{4})/);
+  if (match)
+    return build(parseInt(match[3]), parseInt(match[1]) - 1, parseInt(match[2]));
+
+  const parsed = Date.parse(text);
+  return isNaN(parsed) ? null : `${parsed}`;
+}
+
+/**
+ * Extra, side story and bonus chapters ("Extra Chapter 1"), numbered apart
+ * from the main story.
+ */
+const extraChapter = /\b(?:extra|side[- ]?stor(?:y|ies)|bonus|special)\b\s*(?:chapter|chap\.?|ch\.?|episode|ep\.?)?\s*\d/i;
+
+/**
+ * What is left of a chapter name without its numbers and labels such as
+ * "Latest chapter:". Two chapters with the same number are only the same
+ * chapter when these match or one of them is empty.
+ */
+function chapterTitle(name) {
+  return (name || "")
+    .toLowerCase()
+    .replace(/\b(?:latest|newest|new|next|previous|prev|first|last|read)\b/g, "")
+    .replace(/\b(?:volume|vol\.?|book|chapter|chap\.?|ch\.?|episode|ep\.?|part)\s*\d+(?:\.\d+)?/g, "")
+    .replace(/^\s*\d+(?:\.\d+)?/, "")
+    .replace(/\bchapter\b/g, "")
+    .replace(/[^\p{L}\p{N}]+/gu, "");
+}
+
+/**
+ * Chapter, part and volume numbers read from a chapter name, else from its
+ * url. Each is null when not found. `extra` marks extra chapters.
+ */
+function chapterNumbers(name, url) {
+  function find(candidates) {
+    for (const [pattern, text] of candidates) {
+      const match = (text || "").match(pattern);
+      if (match) return parseFloat(match[1]);
+    }
+    return null;
+  }
+  const path = (url || "").toLowerCase();
+  return {
+    volume: find([
+      [/\b(?:volume|vol\.?|book)\s*(\d+)/i, name],
+      [/\bvol(?:ume)?[-_]?(\d+)/, path],
+    ]),
+    chapter: find([
+      [/\b(?:chapter|chap\.?|ch\.?|episode|ep\.?)\s*(\d+(?:\.\d+)?)/i, name],
+      [/chapter[-_]?(\d+)/, path],
+      [/^\s*(\d+(?:\.\d+)?)\b/, name],
+      [/[-_/](\d+)(?:\.html?)?\/?$/, path],
+    ]),
+    part: find([[/\bpart\s*(\d+)/i, name]]),
+    extra: extraChapter.test(name || ""),
+  };
+}
+
+/**
+ * normalizeChapters(chapters, oldestFirst)
+ * Shared chapter clean-up: drops repeated urls and repeated chapter numbers
+ * under the same title (such as "next chapter" or "latest chapter" links),
+ * puts the volume in `scanlator` so the app can group by it, and orders
+ * newest first by volume, chapter and part. Chapters without a number, and
+ * extra chapters, stay right after the chapter listed before them.
+ * `oldestFirst` tells how the site listed them.
+ */
+function normalizeChapters(chapters, oldestFirst = false) {
+  const ordered = oldestFirst ? chapters.slice() : chapters.slice().reverse();
+  const seenUrls = new Set();
+  const seenNumbers = new Map();
+  let volume = null;
+  let previous = [0, -1, 0];
+  const items = [];
+  for (let chapter of ordered) {
+    if (!chapter.url || seenUrls.has(chapter.url)) continue;
+    const numbers = chapterNumbers(chapter.name, chapter.url);
+    // A chapter without a volume belongs to the last volume seen
+    const chapterVolume = numbers.volume ?? volume;
+    if (numbers.chapter !== null) {
+      const number = `${numbers.extra ? "extra" : "main"}:${chapterVolume}:${numbers.chapter}:${numbers.part}`;
+      const title = chapterTitle(chapter.name);
+      const titles = seenNumbers.get(number) || [];
+      if (titles.some((seen) => seen === title || !seen || !title)) continue;
+      seenNumbers.set(number, [...titles, title]);
+    }
+    seenUrls.add(chapter.url);
+    volume = chapterVolume;
+
+    const key = numbers.chapter === null || numbers.extra ? [volume ?? 0, previous[1], previous[2]] : [volume ?? 0, numbers.chapter, numbers.part ?? 0];
+    previous = key;
+    if (volume !== null) chapter = { ...chapter, scanlator: `Volume ${volume}` };
+    items.push({ key, chapter });
+  }
+
+  // Array.prototype.sort is stable, so equal keys keep the site's order
+  items.sort((a, b) => {
+    for (let i = 0; i < 3; i++) {
+      if (a.key[i] !== b.key[i]) return a.key[i] - b.key[i];
+    }
+    return 0;
+  });
+  return items.map((item) => item.chapter).reverse();
+}
+
+/**
+ * Most parts one chapter is stitched from, in case a site links pages in a loop.
+ */
+const maxChapterParts = 20;
+
+/**
+ * nextChapterPart(document, chapterUrl, page, resolve)
+ * Intra-chapter pagination: the link to the next part of the chapter at
+ * `chapterUrl`, either `?page=N` (or p / paged) on the chapter url or a `/N/`
+ * segment after it, as WordPress `<!--nextpage-->` produces. Links to any
+ * other url, such as the next chapter, never match. Returns { url, page } for
+ * the lowest page after `page`, or null.
+ */
+function nextChapterPart(document, chapterUrl, page, resolve) {
+  const base = chapterUrl.replace(/\/+$/, "");
+  const escaped = base.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  const pattern = new RegExp(`^${escaped}(?:/?[?&](?:page|paged|p)=(\\d+)|/(\\d+))/?$`);
+  let next = null;
+  const links = document.select("a[href]");
+  for (let i = 0; i < links.length; i++) {
+    let href = (links[i].attr("href") || "").trim().replace(/#.*$/, "");
+    href = href.startsWith("?") ? base + href : resolve(href);
+    const match = href ? href.match(pattern) : null;
+    if (!match) continue;
+    const number = parseInt(match[1] ?? match[2]);
+    if (number > page && (!next || number < next.page)) next = { url: href, page: number };
+  }
+  return next;
+}
+
+function escapeHtml(t) {
+  return t.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+}
+
+/**
+ * Run `fn` over `items` with at most `limit` calls in flight.
+ * Results keep the order of `items`.
+ */
+async function mapLimit(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  async function worker() {
+    while (next < items.length) {
+      const i = next++;
+      results[i] = await fn(items[i], i);
+    }
+  }
+  const workers = [];
+  for (let i = 0; i < Math.min(limit, items.length); i++) workers.push(worker());
+  await Promise.all(workers);
+  return results;
+}
+
+/* ----------------- NovelFull / WordPress theme ----------------- */
+
+/**
+ * Defaults of NovelFullTheme, taken from the WordPress and NovelFull themes
+ * many novel sites share. A site overrides what differs from `site()`.
+ * Selector lists are tried in order and the first one that matches is used.
+ * In paths, {page} is replaced by the page number, {genre} by the genre
+ * value and {id} by the novel id.
+ */
+const novelFullDefaults = {
+  // Preference key prefix and the site name shown in messages
+  key: "",
+  siteName: "",
+  // Other domains the site is served from, after the source's baseUrl
+  mirrors: [],
+
+  // Listings, tried in order until one returns novels
+  popularPaths: ["/?paged={page}"],
+  latestPaths: ["/?paged={page}"],
+  // Search: listing path per "Order by" value, with `orderby` for the others
+  sorts: [["Default", "default"]],
+  sortPaths: { "default": "/" },
+  sortOrderBy: {},
+  genres: [],
+  genrePath: "/genre/{genre}/",
+  completedPath: "/completed/",
+
+  listItems: ["article", ".post", ".novel-item", ".entry", ".post-item", ".list-item", ".novel-list li"],
+  listLinks: "a[href*='/novel/'], a[href*='/book/']",
+  nextPage: [".nav-previous a", "a.next", ".older a"],
+
+  title: ["h1.entry-title", "h1.title", ".post-title", "h1"],
+  cover: [".post-thumbnail img", ".entry-media img", ".thumb img", ".wp-post-image", ".single-cover img"],
+  description: [".entry-content", ".description", ".summary", ".post-content", "#content .post-content"],
+  meta: [".post-meta li", ".meta li", ".entry-meta li", ".book-meta li", ".novel-info li"],
+  author: ["a[rel*='author']", ".author a", ".by a"],
+  tags: ".tags a, .genres a, .post-categories a, .cat-links a",
+
+  chapters: [
+    ".chapter-list a",
+    ".chapters a",
+    ".toc a",
+    ".chapter a",
+    ".post-content a[href*='chapter']",
+    ".entry-content a[href*='chapter']",
+    ".entry-content a.chapter",
+    ".table-of-content a",
+  ],
+  chapterDate: ["time", ".chapter-time", ".post-date", ".date"],
+  // Whether the chapter list runs from the first chapter to the latest
+  oldestFirst: true,
+  tocPagination: ".pagination a, .page-numbers, .nav-links a, .wp-pagenavi a",
+  // NovelFull's full chapter list, keyed by an id attribute of the detail page
+  archiveId: "data-novel-id",
+  archivePath: "/ajax/chapter-archive?novelId={id}",
+  archiveChapters: ["ul.list-chapter a", ".list-chapter a", "a[href*='chapter']"],
+
+  content: [
+    "#chapter-content",
+    "#chr-content",
+    ".chapter-content",
+    ".entry-content",
+    ".post-content",
+    ".single-post .content",
+    ".reading-content",
+    "#content",
+    ".novel-body",
+    ".post-body",
+  ],
+  chapterTitle: [".chapter-title", "h1.entry-title", "h1"],
+
+  // Pasted links: the path of a novel page, and the breadcrumb that leads
+  // from a chapter page back to its novel
+  novelLink: "^/(?:novel|book|series)/[^/]+/?$",
+  breadcrumb: ".breadcrumb a, .breadcrumbs a, .c-breadcrumb a, [itemtype*='BreadcrumbList'] a",
+};
+
+/**
+ * NovelFullTheme
+ * Scraper for WordPress / NovelFull style novel sites. A source extends it
+ * and returns its differences from novelFullDefaults in `site()`:
+ *
+ *   class DefaultExtension extends NovelFullTheme {
+ *     site() {
+ *       return { key: "mysite", siteName: "MySite", popularPaths: ["/popular/page/{page}/"] };
+ *     }
+ *   }
+ *
+ * The app loads a single file, so a new source copies this file and
+ * replaces the metadata and the Extension section.
+ */
+class NovelFullTheme extends MProvider {
+  constructor() {
+    super();
+    this.client = new Client();
+  }
+
+  /**
+   * Site settings that differ from novelFullDefaults.
+   */
+  site() {
+    return {};
+  }
+
+  theme() {
+    if (!this.themeConfig) this.themeConfig = { ...novelFullDefaults, ...this.site() };
+    return this.themeConfig;
+  }
+
+  /**
+   * First element matching one of `selectors`, in order of the list.
+   */
+  selectAny(node, selectors) {
+    for (const sel of selectors) {
+      const el = node.selectFirst(sel);
+      if (el) return el;
+    }
+    return null;
+  }
+
+  preferenceKey(name) {
+    return `${this.theme().key}_${name}`;
+  }
+
+  mirrorDomains() {
+    return [this.source.baseUrl, ...this.theme().mirrors].filter((m, i, all) => all.indexOf(m) === i);
+  }
+
+  /**
+   * The last mirror that answered, else the default domain.
+   */
+  getBaseUrl() {
+    const active = new SharedPreferences().getString(this.preferenceKey("active_mirror"), "");
+    return this.mirrorDomains().includes(active) ? active : this.source.baseUrl;
+  }
+
+  getHeaders(url) {
+    const origin = (url || "").match(/^https?:\/\/[^/]+/);
+    return {
+      Referer: `${origin ? origin[0] : this.getBaseUrl()}/`,
+    };
+  }
+
+  toAbsolute(url) {
+    return toAbsolute(url, this.getBaseUrl());
+  }
+
+  /**
+   * Store links relative to the site, like the other sources do. Links on
+   * any mirror become paths, so stored novels follow the active mirror.
+   */
+  toSlug(url) {
+    const mirror = this.mirrorDomains().find((m) => url === m || url.startsWith(`${m}/`));
+    return mirror ? url.substring(mirror.length) : url;
+  }
+
+  /**
+   * GET one url, retrying timeouts and retryable status codes after the
+   * server's Retry-After or an exponential backoff (1s, 2s, ...). The delay
+   * holds back every request to that host, not just the retry. A Retry-After
+   * longer than `maxRetryAfter` is not waited for, and nothing is retried
+   * where the runtime cannot wait. Returns the last response, whatever its
+   * status.
+   */
+  async getWithRetry(url, headers = {}) {
+    const attempts = canWait() ? maxAttempts : 1;
+    for (let attempt = 1; ; attempt++) {
+      await throttle(url);
+      let res = null;
+      let delay = 1000 * Math.pow(2, attempt - 1);
+      try {
+        res = await this.client.get(url, { ...this.getHeaders(url), ...headers });
+      } catch (e) {
+        const transient = /timed? ?out|timeout|connection reset/i.test(`${e.message || e}`);
+        if (!transient || attempt >= attempts) throw e;
+      }
+      if (res) {
+        // Waiting does not get past a challenge
+        if (!retryStatusCodes.includes(res.statusCode) || attempt >= attempts || isChallenge(res)) return res;
+        const asked = retryAfter(res);
+        if (asked !== null && asked > maxRetryAfter) return res;
+        delay = asked ?? delay;
+      }
+      hostSlots[hostOf(url)] = Math.max(hostSlots[hostOf(url)] || 0, Date.now() + delay);
+    }
+  }
+
+  /**
+   * Throw a readable error for responses that are not a page.
+   */
+  checkResponse(res, url) {
+    if (isChallenge(res)) throw new ChallengeError(url);
+    if (res.statusCode == 429) throw new Error(`${hostOf(url)} is rate limiting requests (HTTP 429), try again later`);
+    if (res.statusCode >= 400) throw new Error(`HTTP ${res.statusCode} for ${url}`);
+    return res;
+  }
+
+  /**
+   * GET returning the response (with `.body`). Urls on a known mirror are
+   * sent to the active mirror first and to the others on connection errors
+   * or parked pages; a mirror that answers in place of the active one is
+   * remembered for the next requests.
+   */
+  async clientGet(url, headers = {}) {
+    const slug = this.toSlug(url);
+    if (slug === url) return this.checkResponse(await this.getWithRetry(url, headers), url);
+
+    const current = this.getBaseUrl();
+    const candidates = [current, ...this.mirrorDomains().filter((m) => m !== current)];
+    let lastError = null;
+    for (const mirror of candidates) {
+      const target = mirror + slug;
+      let res = null;
+      try {
+        res = await this.getWithRetry(target, headers);
+      } catch (e) {
+        lastError = e;
+        continue;
+      }
+      // Mirrors sit behind the same protection, so a challenge is not failed over
+      if (isUnavailable(res) && !isChallenge(res)) {
+        lastError = new Error(`${mirror} is unavailable (HTTP ${res.statusCode})`);
+        continue;
+      }
+      // The site answered, so another mirror would say the same
+      this.checkResponse(res, target);
+      if (mirror !== current) new SharedPreferences().setString(this.preferenceKey("active_mirror"), mirror);
+      return res;
+    }
+    throw lastError;
+  }
+
+  async requestDoc(url) {
+    const res = await this.clientGet(this.toAbsolute(url));
+    return new Document(res.body);
+  }
+
+  /**
+   * parseListFromDoc(document)
+   * Generic parser used by getPopular/getLatest/search to produce list items.
+   * Returns array of { name, link, imageUrl }
+   */
+  parseListFromDoc(document) {
+    const out = [];
+
+    // Try the theme's article/card selectors
+    for (const sel of this.theme().listItems) {
+      const nodes = document.select(sel);
+      if (!nodes || nodes.length === 0) continue;
+
+      for (let i = 0; i < nodes.length; i++) {
+        try {
+          const node = nodes[i];
+          // title link
+          const a = node.selectFirst("h2 a") || node.selectFirst(".entry-title a") || node.selectFirst("a");
+          let url = a ? a.attr("href") : null;
+          if (!url) {
+            // sometimes href is in nested link
+            const linkEl = node.selectFirst("a[href]");
+            url = linkEl ? linkEl.attr("href") : null;
+          }
+          url = this.toAbsolute(url);
+
+          // name/title
+          let name = null;
+          if (a) name = cleanText(a.attr("title") || a.text);
+          if (!name) {
+            const titleNode = node.selectFirst("h2") || node.selectFirst(".entry-title") || node.selectFirst(".title");
+            if (titleNode) name = cleanText(titleNode.text);
+          }
+
+          // cover image
+          let imageUrl = null;
+          const imgEl = node.selectFirst("img") || node.selectFirst(".thumb img");
+          if (imgEl) {
+            imageUrl = fixImageUrl(imgEl.attr("data-src") || imgEl.attr("src") || imgEl.attr("data-lazy-src"), this.getBaseUrl());
+          }
+
+          if (url && name) {
+            out.push({ name, link: this.toSlug(url), imageUrl: imageUrl || "" });
+          }
+        } catch (e) {
+          // ignore single item parsing errors
+        }
+      }
+
+      if (out.length) break; // stop after first successful candidate
+    }
+
+    // final fallback: try parsing article links globally
+    if (!out.length) {
+      const anchors = document.select(this.theme().listLinks);
+      const seen = new Set();
+      for (let i = 0; i < anchors.length; i++) {
+        try {
+          const a = anchors[i];
+          const href = this.toAbsolute(a.attr("href"));
+          const text = cleanText(a.text);
+          if (href && text && !seen.has(href)) {
+            seen.add(href);
+            out.push({ name: text, link: this.toSlug(href), imageUrl: "" });
+          }
+        } catch (e) {}
+      }
+    }
+
+    return out;
+  }
+
+  hasNextPage(document) {
+    return !!this.selectAny(document, this.theme().nextPage);
+  }
+
+  /**
+   * Fetch the first candidate url that yields a non-empty list. Only a page
+   * without items moves on to the next candidate; request errors (rate
+   * limiting, HTTP errors, challenges) reach the caller, so a host that is
+   * already refusing requests is not asked for the other paths.
+   */
+  async firstListPage(candidates) {
+    for (const url of candidates) {
+      const document = await this.requestDoc(url);
+      const list = this.parseListFromDoc(document);
+      if (list && list.length) return { list, hasNextPage: this.hasNextPage(document) };
+    }
+
+    // fallback: empty list
+    return { list: [], hasNextPage: false };
+  }
+
+  async getPopular(page) {
+    return await this.firstListPage(this.theme().popularPaths.map((path) => path.replace("{page}", page)));
+  }
+
+  async getLatestUpdates(page) {
+    return await this.firstListPage(this.theme().latestPaths.map((path) => path.replace("{page}", page)));
+  }
+
+  /**
+   * buildSearchPath({ query, genre, status, sort, page })
+   * Routes a search to the most specific listing the site offers:
+   *   genre listing > completed listing > keyword search > sort listing.
+   * The sort order is passed as `orderby` when a listing is combined with it.
+   */
+  buildSearchPath({ query = "", genre = "", status = "", sort = "default", page = 1 } = {}) {
+    const { sortPaths, sortOrderBy, genrePath, completedPath } = this.theme();
+    const orderBy = sortOrderBy[sort];
+
+    let path = "/";
+    const params = [];
+    if (genre) {
+      path = genrePath.replace("{genre}", genre);
+    } else if (status === "completed") {
+      path = completedPath;
+    } else if (!query) {
+      path = sortPaths[sort] ?? "/";
+    }
+    if (query) params.push(`s=${encodeURIComponent(query)}`);
+    if (orderBy && path !== sortPaths[sort]) params.push(`orderby=${orderBy}`);
+    params.push(`paged=${page}`);
+
+    return `${path}?${params.join("&")}`;
+  }
+
+  /**
+   * The slug of a link pasted into search when it points at the site or
+   * one of its mirrors, else null.
+   */
+  linkSlug(query) {
+    const match = query.match(/^https?:\/\/([^/?#\s]+)(\S*)$/i);
+    if (!match) return null;
+    const host = (url) => url.replace(/^https?:\/\//, "").replace(/^www\./, "").toLowerCase();
+    return this.mirrorDomains().some((m) => host(m) === host(match[1])) ? match[2] || "/" : null;
+  }
+
+  /**
+   * searchLink(slug)
+   * The novel a pasted link belongs to, as a single search result. A novel
+   * page is used as it is; a chapter page leads to its novel through the
+   * breadcrumb, else through the novel part of its path.
+   */
+  async searchLink(slug) {
+    const theme = this.theme();
+    const novelLink = new RegExp(theme.novelLink);
+    const path = slug.split(/[?#]/)[0];
+
+    let novelSlug = novelLink.test(path) ? path : null;
+    if (!novelSlug) {
+      const crumbs = (await this.requestDoc(slug))
+        .select(theme.breadcrumb)
+        .map((a) => this.toSlug(this.toAbsolute(a.attr("href")) || "").split(/[?#]/)[0])
+        .filter((href) => novelLink.test(href));
+      novelSlug = crumbs.length ? crumbs[crumbs.length - 1] : null;
+    }
+    if (!novelSlug) {
+      const parts = path.split("/").filter((part) => part);
+      for (let i = parts.length - 1; i > 0 && !novelSlug; i--) {
+        const parent = `/${parts.slice(0, i).join("/")}/`;
+        if (novelLink.test(parent)) novelSlug = parent;
+      }
+    }
+    if (!novelSlug) return { list: [], hasNextPage: false };
+    const document = await this.requestDoc(novelSlug);
+
+    const titleEl = this.selectAny(document, theme.title);
+    const coverEl = this.selectAny(document, theme.cover);
+    const imageUrl = coverEl
+      ? fixImageUrl(coverEl.attr("data-src") || coverEl.attr("src") || coverEl.attr("data-lazy-src"), this.getBaseUrl())
+      : null;
+    return {
+      list: [{ name: (titleEl && cleanText(titleEl.text)) || "", link: novelSlug, imageUrl: imageUrl || "" }],
+      hasNextPage: false,
+    };
+  }
+
+  /**
+   * search(query, page, filters)
+   * - filters follow getFilterList(): [Genre, Status, Order by]
+   * - an empty query with a genre selected browses that genre
+   * - a pasted link to the site opens its novel (see searchLink)
+   */
+  async search(query, page, filters) {
+    function selectFiler(filter) {
+      return filter.values[filter.state].value;
+    }
+
+    const isFiltersAvailable = filters && filters.length != 0;
+    const genre = isFiltersAvailable ? selectFiler(filters[0]) : "";
+    const status = isFiltersAvailable ? selectFiler(filters[1]) : "";
+    const sort = isFiltersAvailable ? selectFiler(filters[2]) : "default";
+
+    const slug = this.linkSlug(query.trim());
+    if (slug) return page > 1 ? { list: [], hasNextPage: false } : await this.searchLink(slug);
+
+    const url = this.buildSearchPath({ query: query.trim(), genre, status, sort, page });
+    const document = await this.requestDoc(url);
+    return { list: this.parseListFromDoc(document), hasNextPage: this.hasNextPage(document) };
+  }
+
+  /**
+   * Date shown next to a chapter link (same row), if the theme prints one.
+   */
+  chapterDate(a) {
+    const row = a.parent;
+    const dateEl = row && this.selectAny(row, this.theme().chapterDate);
+    if (!dateEl) return null;
+    return parseDate(dateEl.attr("datetime") || dateEl.text);
+  }
+
+  /**
+   * Collect chapter links from the first matching chapter container.
+   */
+  parseChaptersFromDoc(document, chapterCandidates = this.theme().chapters) {
+    const chapters = [];
+
+    for (const sel of chapterCandidates) {
+      const els = document.select(sel);
+      if (!els || !els.length) continue;
+      for (let i = 0; i < els.length; i++) {
+        try {
+          const a = els[i];
+          const href = this.toAbsolute(a.attr("href"));
+          const name = cleanText((a.attr("title") || a.text || "").replace(lockedMark, ""));
+          if (href && name) {
+            chapters.push({
+              name: isLockedLink(a) ? `${lockedMark} ${name}` : name,
+              url: this.toSlug(href),
+              scanlator: null,
+              dateUpload: this.chapterDate(a),
+            });
+          }
+        } catch (e) {}
+      }
+      if (chapters.length) break;
+    }
+
+    return chapters;
+  }
+
+  /**
+   * tocPageUrls(document)
+   * Reads the TOC pagination (?page=N, ?paged=N or /page/N/ links) and
+   * returns the urls of pages 2..last, built from the link with the highest page.
+   */
+  tocPageUrls(document) {
+    const pageRegex = /([?&](?:page|paged)=)(\d+)|(\/page\/)(\d+)/;
+    let last = 1;
+    let template = null;
+    const links = document.select(this.theme().tocPagination);
+    for (let i = 0; i < links.length; i++) {
+      const href = links[i].attr("href");
+      const match = href ? href.match(pageRegex) : null;
+      if (!match) continue;
+      const num = parseInt(match[2] ?? match[4]);
+      if (num > last) {
+        last = num;
+        template = href;
+      }
+    }
+
+    const urls = [];
+    for (let page = 2; page <= last; page++) {
+      urls.push(this.toAbsolute(template.replace(pageRegex, (m, q, qn, p) => (q ? `${q}${page}` : `${p}${page}`))));
+    }
+    return urls;
+  }
+
+  /**
+   * NovelFull style themes expose the whole list at /ajax/chapter-archive,
+   * keyed by the novel id found on the detail page.
+   */
+  async getChapterArchive(document) {
+    const { archiveId, archivePath, archiveChapters } = this.theme();
+    if (!archiveId) return [];
+    const idEl = document.selectFirst(`[${archiveId}]`);
+    const novelId = idEl ? idEl.attr(archiveId) : null;
+    if (!novelId) return [];
+    try {
+      const archive = await this.requestDoc(archivePath.replace("{id}", novelId));
+      return this.parseChaptersFromDoc(archive, archiveChapters);
+    } catch (e) {
+      if (e instanceof ChallengeError) throw e;
+      return [];
+    }
+  }
+
+  /**
+   * collectChapters(document, chapterCandidates)
+   * Returns the full chapter list of a detail/TOC page: the chapter archive when
+   * available, otherwise every TOC page fetched with bounded concurrency.
+   * Errors on TOC pages reach the caller. The result goes through
+   * normalizeChapters (newest first).
+   */
+  async collectChapters(document, chapterCandidates) {
+    let chapters = await this.getChapterArchive(document);
+
+    if (!chapters.length) {
+      chapters = this.parseChaptersFromDoc(document, chapterCandidates);
+      if (chapters.length) {
+        // A page that fails fails the whole list, rather than leave a gap in it
+        const pages = await mapLimit(this.tocPageUrls(document), 3, async (pageUrl) =>
+          this.parseChaptersFromDoc(await this.requestDoc(pageUrl), chapterCandidates)
+        );
+        pages.forEach((pageChapters) => chapters.push(...pageChapters));
+      }
+    }
+
+    return normalizeChapters(chapters, this.theme().oldestFirst);
+  }
+
+  async getDetail(url) {
+    const theme = this.theme();
+    const slug = this.toSlug(url);
+    const document = await this.requestDoc(slug);
+    // After the request, so a failover is reflected in the link and images
+    const baseUrl = this.getBaseUrl();
+    const link = baseUrl + slug;
+
+    // Title
+    let name = null;
+    const tEl = this.selectAny(document, theme.title);
+    if (tEl) name = cleanText(tEl.text);
+
+    // Cover
+    let imageUrl = null;
+    const coverEl = this.selectAny(document, theme.cover);
+    if (coverEl) {
+      imageUrl = fixImageUrl(coverEl.attr("data-src") || coverEl.attr("src") || coverEl.attr("data-lazy-src"), baseUrl);
+    }
+
+    // Description
+    let description = null;
+    const descEl = this.selectAny(document, theme.description);
+    if (descEl) {
+      // prefer first paragraph
+      const p = descEl.selectFirst("p") || descEl;
+      description = cleanText(p.text);
+    }
+
+    // Author & Status & Genres
+    let author = null;
+    let status = 5; // unknown
+    const genre = [];
+
+    // Look for meta lists
+    let metaNodes = [];
+    for (const sel of theme.meta) {
+      metaNodes = document.select(sel);
+      if (metaNodes.length) break;
+    }
+
+    if (metaNodes.length) {
+      for (let i = 0; i < metaNodes.length; i++) {
+        try {
+          const fullText = cleanText(metaNodes[i].text) || "";
+          const text = fullText.toLowerCase();
+          if (text.includes("author")) {
+            author = fullText.replace(/author(\(s\))?[:\s]*/i, "").trim();
+          } else if (text.includes("status")) {
+            // map to int
+            status = mapStatusToInt(fullText);
+          } else if (text.includes("genre") || text.includes("category")) {
+            // collect comma-separated
+            const g = fullText.replace(/genre(\(s\))?[:\s]*/i, "").trim();
+            if (g) g.split(",").map((x) => x.trim()).forEach((gg) => gg && genre.push(gg));
+          }
+        } catch (e) {}
+      }
+    } else {
+      // fallback author selector
+      const aAuthor = this.selectAny(document, theme.author);
+      if (aAuthor) author = cleanText(aAuthor.text);
+    }
+
+    // Tags/genres from tag links
+    const tagEls = document.select(theme.tags);
+    for (let i = 0; i < tagEls.length; i++) {
+      const t = cleanText(tagEls[i].text);
+      if (t && !genre.includes(t)) genre.push(t);
+    }
+
+    // Chapters extraction (many variants), following TOC pagination
+    let chapters = await this.collectChapters(document);
+
+    // Fallback: there might be a "Table of Contents" link to a separate page
+    if (!chapters.length) {
+      const tocLink = document.select("a").find((a) => {
+        const txt = (a.text || "").toLowerCase();
+        return txt.includes("table of contents") || txt.includes("chapters") || txt.includes("view all");
+      });
+      const tocUrl = tocLink ? this.toAbsolute(tocLink.attr("href")) : null;
+      if (tocUrl) {
+        const tocDoc = await this.requestDoc(tocUrl);
+        chapters = await this.collectChapters(tocDoc, ["a[href*='chapter'], .chapter-list a, .chapters a"]);
+      }
+    }
+
+    // If still no chapters, use the page itself as a single-chapter novel
+    if (!chapters.length) {
+      chapters.push({ name: "Chapter (single page)", url: slug, scanlator: null, dateUpload: null });
+    }
+
+    if (new SharedPreferences().get(this.preferenceKey("locked_chapters")) === "hide") {
+      chapters = chapters.filter((chapter) => !chapter.name.startsWith(lockedMark));
+    }
+
+    return {
+      name: name || "",
+      imageUrl: imageUrl || "",
+      description: description || "",
+      author: author || "",
+      link,
+      genre,
+      status,
+      chapters,
+    };
+  }
+
+  async getHtmlContent(name, url) {
+    const chapterUrl = this.toAbsolute(url);
+    const document = await this.requestDoc(chapterUrl);
+
+    // Long chapters may be split over several pages; read them all
+    const parts = [document];
+    const seen = new Set([chapterUrl]);
+    let next = nextChapterPart(document, chapterUrl, 1, (href) => this.toAbsolute(href));
+    while (next && parts.length < maxChapterParts && !seen.has(next.url)) {
+      seen.add(next.url);
+      const part = await this.requestDoc(next.url);
+      if (!this.findContentNode(part)) break;
+      parts.push(part);
+      next = nextChapterPart(part, chapterUrl, next.page, (href) => this.toAbsolute(href));
+    }
+    if (parts.length === 1) return this.cleanHtmlContent(document);
+
+    const titleEl = this.findTitle(document);
+    const body = parts
+      .map((part) => {
+        const node = this.findContentNode(part);
+        if (!node) return "";
+        let html = node.innerHtml;
+        // Page links inside the text would show up as a paragraph
+        node.select(".page-links, .post-nav-links, .chapter-pages, .chapter-pagination").forEach((el) => {
+          html = html.split(el.outerHtml).join("");
+        });
+        return html;
+      })
+      .join("\n");
+    return this.cleanHtmlContent(
+      new Document(`<html><body>${titleEl ? titleEl.outerHtml : ""}<div id="chapter-content">${body}</div></body></html>`)
+    );
+  }
+
+  /**
+   * The element holding the chapter text, or null.
+   */
+  findContentNode(document) {
+    for (const sel of this.theme().content) {
+      const node = document.selectFirst(sel);
+      if (node && (node.text || "").trim().length > 0) return node;
+    }
+
+    // If no specific content node, use the main article
+    return document.selectFirst("article") || document.selectFirst(".post");
+  }
+
+  findTitle(document) {
+    return this.selectAny(document, this.theme().chapterTitle);
+  }
+
+  /**
+   * Build a single reader page from the chapter content container:
+   * an optional <h2> title followed by paragraphs and inline images.
+   */
+  async cleanHtmlContent(html) {
+    const document = typeof html === "string" ? new Document(html) : html;
+    const contentNode = this.findContentNode(document);
+
+    const titleEl = this.findTitle(document);
+    const title = titleEl ? cleanText(titleEl.text) : null;
+
+    // A locked chapter only has a teaser (or nothing); say so instead
+    if (isLockedContent(document, contentNode)) {
+      const notice = [
+        `<p>${lockedMark} This chapter is locked on ${this.theme().siteName}.</p>`,
+        "<p>Unlock it on the website (open the chapter in WebView), then reload it here.</p>",
+      ].join("\n");
+      return title ? `<h2>${escapeHtml(title)}</h2><hr>${notice}` : notice;
+    }
+    // Already cleaned content handed back by the app
+    if (!contentNode) return typeof html === "string" ? html : "";
+
+    const parts = [];
+    const blocks = contentNode.select("p, img");
+    for (let i = 0; i < blocks.length; i++) {
+      const el = blocks[i];
+      if (el.localName === "img") {
+        const src = fixImageUrl(el.attr("data-src") || el.attr("src") || el.attr("data-lazy-src"), this.getBaseUrl());
+        if (src) parts.push(`<img src="${src}">`);
+        continue;
+      }
+      // WordPress "Pages: 1 2" links
+      if (/(^|\s)(page-links|post-nav-links)(\s|$)/.test(el.className || "")) continue;
+      const text = cleanText(el.text);
+      if (text) parts.push(`<p>${escapeHtml(text)}</p>`);
+    }
+
+    // Chapters that are not wrapped in <p>: split the raw text into lines
+    if (!parts.length) {
+      (contentNode.text || "")
+        .split(/\n+/)
+        .map((line) => cleanText(line))
+        .filter((line) => line)
+        .forEach((line) => parts.push(`<p>${escapeHtml(line)}</p>`));
+    }
+
+    const content = parts.join("\n");
+    return title ? `<h2>${escapeHtml(title)}</h2><hr>${content}` : content;
+  }
+
+  getFilterList() {
+    function formateState(type_name, items, values) {
+      const state = [];
+      for (let i = 0; i < items.length; i++) {
+        state.push({ type_name: type_name, name: items[i], value: values[i] });
+      }
+      return state;
+    }
+
+    const { genres, sorts } = this.theme();
+    const filters = [];
+
+    // Genres (the genre listing only takes a single genre)
+    filters.push({
+      type_name: "SelectFilter",
+      name: "Genre",
+      state: 0,
+      values: formateState(
+        "SelectOption",
+        ["All", ...genres],
+        ["", ...genres.map((g) => g.toLowerCase().replace(/\s+/g, "-"))]
+      ),
+    });
+
+    // Status
+    filters.push({
+      type_name: "SelectFilter",
+      name: "Status",
+      state: 0,
+      values: formateState("SelectOption", ["All", "Completed"], ["", "completed"]),
+    });
+
+    // Sort order
+    filters.push({
+      type_name: "SelectFilter",
+      name: "Order by",
+      state: 0,
+      values: formateState(
+        "SelectOption",
+        sorts.map(([label]) => label),
+        sorts.map(([, value]) => value)
+      ),
+    });
+
+    return filters;
+  }
+
+  getSourcePreferences() {
+    return [
+      {
+        key: this.preferenceKey("locked_chapters"),
+        listPreference: {
+          title: "Locked chapters",
+          summary: "Chapters that must be unlocked on the site",
+          valueIndex: 0,
+          entries: [`Show with a ${lockedMark} mark`, "Hide"],
+          entryValues: ["mark", "hide"],
+        },
+      },
+    ];
+  }
+}
+
+/* ----------------- Extension ----------------- */
+
+class DefaultExtension extends NovelFullTheme {
+  site() {
+    return {
+      key: "wordrain69",
+      siteName: "Wordrain69",
+      popularPaths: ["/novel/page/{page}/?m_orderby=views"],
+      latestPaths: ["/novel/page/{page}/?m_orderby=latest"],
+      sorts: [
+        ["Default", "default"],
+        ["Most viewed", "views"],
+        ["Latest", "latest"],
+        ["Trending", "trending"],
+        ["Rating", "rating"],
+        ["A-Z", "alphabet"],
+        ["New", "new-manga"],
+      ],
+      genres: [
+        "Action",
+        "Adventure",
+        "BL",
+        "Comedy",
+        "Drama",
+        "Fantasy",
+        "Historical",
+        "Horror",
+        "Martial Arts",
+        "Mature",
+        "Mystery",
+        "Psychological",
+        "Romance",
+        "School Life",
+        "Sci-fi",
+        "Slice of Life",
+        "Supernatural",
+        "Tragedy",
+        "Yaoi",
+      ],
+      listItems: [".page-item-detail", ".c-tabs-item__content"],
+      nextPage: [".nav-previous a", "a.nextpostslink"],
+      title: [".post-title h1", "h1"],
+      cover: [".summary_image img"],
+      description: [".description-summary .summary__content", ".summary__content"],
+      meta: [".post-content_item"],
+      tags: ".genres-content a",
+      chapters: ["li.wp-manga-chapter a"],
+      chapterDate: [".chapter-release-date i", ".chapter-release-date"],
+      // Madara lists the latest chapter first
+      oldestFirst: false,
+      content: [".reading-content .text-left", ".reading-content"],
+      chapterTitle: ["#chapter-heading"],
+    };
+  }
+
+  /**
+   * Madara only searches novels through the search page, with the genre,
+   * status and order as parameters.
+   */
+  buildSearchPath({ query = "", genre = "", status = "", sort = "default", page = 1 } = {}) {
+    const params = [`s=${encodeURIComponent(query)}`, "post_type=wp-manga"];
+    if (genre) params.push(`genre[]=${genre}`);
+    if (status === "completed") params.push("status[]=end");
+    if (sort !== "default") params.push(`m_orderby=${sort}`);
+    return `/page/${page}/?${params.join("&")}`;
+  }
+
+  /**
+   * Madara loads the chapter list with a POST to admin-ajax, keyed by the
+   * id on the chapter holder of the detail page.
+   */
+  async getChapterArchive(document) {
+    const holder = document.selectFirst("#manga-chapters-holder");
+    const novelId = holder ? holder.attr("data-id") : null;
+    if (!novelId) return [];
+
+    const url = `${this.getBaseUrl()}/wp-admin/admin-ajax.php`;
+    await throttle(url);
+    const res = await this.client.post(
+      url,
+      { ...this.getHeaders(url), "Content-Type": "application/x-www-form-urlencoded", "X-Requested-With": "XMLHttpRequest" },
+      { action: "manga_get_chapters", manga: novelId }
+    );
+    this.checkResponse(res, url);
+    return this.parseChaptersFromDoc(new Document(res.body));
+  }
+}
@@ -1,55 +1,700 @@
-const mangayomiSources = [{
-  "name": "WuxiaBox",
-  "lang": "en",
-  "baseUrl": "https://www.wuxiabox.com",
-  "apiUrl": "",
-  "iconUrl":
-    "https://github.com/hato3D/Mangayomi-BetterNovelExtensions/blob/main/images/WuxiaBox.png?raw=true",
-  "typeSource": "single",
-  "itemType": 2, // Use 0 for manga, 1 for anime and 2 for novel
-  "version": "1.0.0",
-  "dateFormat": "",
-  "dateFormatLocale": "",
-  "pkgPath": "novel/src/en/wuxiabox.js",
-  "hasCloudflare": false
-}];
+const mangayomiSources = [
+  {
+    "name": "WuxiaBox",
+    "id": 1308639964,
+    "baseUrl": "https://www.wuxiabox.com",
+    "lang": "en",
+    "typeSource": "single",
+    "iconUrl":
+      "https://github.com/hato3D/Mangayomi-BetterNovelExtensions/blob/main/images/WuxiaBox.png?raw=true",
+    "dateFormat": "",
+    "dateFormatLocale": "",
+    "isNsfw": false,
+    "hasCloudflare": false,
+    "sourceCodeUrl": "",
+    "apiUrl": "",
+    "version": "0.1.7",
+    "isManga": false,
+    "itemType": 2,
+    "isFullData": false,
+    "appMinVerReq": "0.5.0",
+    "additionalParams": "",
+    "sourceCodeLanguage": 1,
+    "notes": "",
+    "pkgPath": "novel/src/en/wuxiabox.js"
+  }
+];
+
+// Parse chapter dates such as "2 hours ago", "yesterday", "Mar 3, 2024",
+// "3 March 2024" or "2024-03-03" into a millisecond timestamp string.
+// Returns null when the text is not a recognisable date.
+function parseDate(text, now = Date.now()) {
+  if (!text) return null;
+  var value = text.replace(/\s+/g, " ").trim().toLowerCase();
+  if (!value) return null;
+
+  var day = 24 * 60 * 60 * 1000;
+  if (/^(just now|now|today)$/.test(value)) return `${now}`;
+  if (value === "yesterday") return `${now - day}`;
+
+  var units = {
+    s: 1000,
+    sec: 1000,
+    second: 1000,
+    m: 60 * 1000,
+    min: 60 * 1000,
+    minute: 60 * 1000,
+    h: 60 * 60 * 1000,
+    hr: 60 * 60 * 1000,
+    hour: 60 * 60 * 1000,
+    d: day,
+    day: day,
+    w: 7 * day,
+    week: 7 * day,
+    month: 30 * day,
+    y: 365 * day,
+    yr: 365 * day,
+    year: 365 * day,
+  };
+  var relative = value.match(
+    /^(\d+|an?|one)\s*(second|sec|minute|min|hour|hr|day|week|month|year|yr|s|m|h|d|w|y)s?\.?( ago)?$/
+  );
+  if (relative && (relative[3] || relative[2].length > 1)) {
+    var amount = /^\d+$/.test(relative[1]) ? parseInt(relative[1]) : 1;
+    return `${now - amount * units[relative[2]]}`;
+  }
+
+  var months = [
+    "jan",
+    "feb",
+    "mar",
+    "apr",
+    "may",
+    "jun",
+    "jul",
+    "aug",
+    "sep",
+    "oct",
+    "nov",
+    "dec",
+  ];
+  function monthIndex(name) {
+    return months.indexOf(name.substring(0, 3));
+  }
+  function build(year, month, date) {
+    if (month < 0 || month > 11 || date < 1 || date > 31) return null;
+    return `${new Date(year, month, date).valueOf()}`;
+  }
+
+  var match = value.match(/^([a-z]+)\.? (\d{1,2})(?:st|nd|rd|th)?,? (\d{4})/);
+  if (match && monthIndex(match[1]) != -1)
+    return build(parseInt(match[3]), monthIndex(match[1]), parseInt(match[2]));
+  match = value.match(/^(\d{1,2})(?:st|nd|rd|th)? ([a-z]+)\.?,? (\d{4})/);
+  if (match && monthIndex(match[2]) != -1)
+    return build(parseInt(match[3]), monthIndex(match[2]), parseInt(match[1]));
+  match = value.match(/^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})/);
+  if (match)
+    return build(parseInt(match[1]), parseInt(match[2]) - 1, parseInt(match[3]));
+  match = value.match(/^(\d{1,2})[-/.](\d{1,2})[-/.](\d{4})/);
+  if (match)
+    return build(parseInt(match[3]), parseInt(match[1]) - 1, parseInt(match[2]));
+
+  var parsed = Date.parse(text);
+  return isNaN(parsed) ? null : `${parsed}`;
+}
+
+// Extra, side story and bonus chapters ("Extra Chapter 1"), numbered apart
+// from the main story.
+const extraChapter =
+  /\b(?:extra|side[- ]?stor(?:y|ies)|bonus|special)\b\s*(?:chapter|chap\.?|ch\.?|episode|ep\.?)?\s*\d/i;
+
+// What is left of a chapter name without its numbers and labels such as
+// "Latest chapter:". Two chapters with the same number are only the same
+// chapter when these match or one of them is empty.
+function chapterTitle(name) {
+  return (name ?? "")
+    .toLowerCase()
+    .replace(/\b(?:latest|newest|new|next|previous|prev|first|last|read)\b/g, "")
+    .replace(
+      /\b(?:volume|vol\.?|book|chapter|chap\.?|ch\.?|episode|ep\.?|part)\s*\d+(?:\.\d+)?/g,
+      ""
+    )
+    .replace(/^\s*\d+(?:\.\d+)?/, "")
+    .replace(/\bchapter\b/g, "")
+    .replace(/[^\p{L}\p{N}]+/gu, "");
+}
+
+// Chapter, part and volume numbers read from a chapter name, else from its
+// url. Each is null when not found. `extra` marks extra chapters.
+function chapterNumbers(name, url) {
+  function find(candidates) {
+    for (var [pattern, text] of candidates) {
+      var match = (text ?? "").match(pattern);
+      if (match) return parseFloat(match[1]);
+    }
+    return null;
+  }
+  var path = (url ?? "").toLowerCase();
+  return {
+    volume: find([
+      [/\b(?:volume|vol\.?|book)\s*(\d+)/i, name],
+      [/\bvol(?:ume)?[-_]?(\d+)/, path],
+    ]),
+    chapter: find([
+      [/\b(?:chapter|chap\.?|ch\.?|episode|ep\.?)\s*(\d+(?:\.\d+)?)/i, name],
+      [/chapter[-_]?(\d+)/, path],
+      [/^\s*(\d+(?:\.\d+)?)\b/, name],
+      [/[-_/](\d+)(?:\.html?)?\/?$/, path],
+    ]),
+    part: find([[/\bpart\s*(\d+)/i, name]]),
+    extra: extraChapter.test(name ?? ""),
+  };
+}
+
+// Shared chapter clean-up: drop repeated urls and repeated chapter numbers
+// under the same title (such as "latest chapter" links), put the volume in
+// `scanlator` so the app can group by it, and order newest first by volume,
+// chapter and part. Chapters without a number, and extra chapters, stay
+// right after the chapter listed before them. Pass oldestFirst when the
+// site lists chapters oldest first.
+function normalizeChapters(chapters, oldestFirst = false) {
+  var ordered = oldestFirst ? chapters.slice() : chapters.slice().reverse();
+  var seenUrls = {};
+  var seenNumbers = {};
+  var volume = null;
+  var previous = [0, -1, 0];
+  var items = [];
+  ordered.forEach((chapter) => {
+    if (!chapter.url || seenUrls[chapter.url]) return;
+    var numbers = chapterNumbers(chapter.name, chapter.url);
+    // A chapter without a volume belongs to the last volume seen
+    var chapterVolume = numbers.volume ?? volume;
+    if (numbers.chapter !== null) {
+      var number = `${numbers.extra ? "extra" : "main"}:${chapterVolume}:${numbers.chapter}:${numbers.part}`;
+      var title = chapterTitle(chapter.name);
+      var titles = seenNumbers[number] ?? [];
+      if (titles.some((seen) => seen === title || !seen || !title)) return;
+      seenNumbers[number] = [...titles, title];
+    }
+    seenUrls[chapter.url] = true;
+    volume = chapterVolume;
+
+    var key =
+      numbers.chapter === null || numbers.extra
+        ? [volume ?? 0, previous[1], previous[2]]
+        : [volume ?? 0, numbers.chapter, numbers.part ?? 0];
+    previous = key;
+    if (volume !== null) chapter = { ...chapter, scanlator: `Volume ${volume}` };
+    items.push({ key, chapter });
+  });
+
+  // Array.prototype.sort is stable, so equal keys keep the site's order
+  items.sort((a, b) => {
+    for (var i = 0; i < 3; i++) {
+      if (a.key[i] !== b.key[i]) return a.key[i] - b.key[i];
+    }
+    return 0;
+  });
+  return items.map((item) => item.chapter).reverse();
+}
+
+// UTF-8 text that was decoded as Windows-1252 somewhere on its way to the
+// page, and what it should read. "â€" alone is a right quote whose last byte
+// got lost, so it comes last.
+const mojibake = [
+  ["â€™", "’"],
+  ["â€˜", "‘"],
+  ["â€œ", "“"],
+  ["â€\u009d", "”"],
+  ["â€“", "–"],
+  ["â€”", "—"],
+  ["â€¦", "…"],
+  ["â€¢", "•"],
+  ["â€", "”"],
+  ["Ã©", "é"],
+  ["Ã¨", "è"],
+  ["Ãª", "ê"],
+  ["Ã¢", "â"],
+  ["Ã®", "î"],
+  ["Ã´", "ô"],
+  ["Ã¤", "ä"],
+  ["Ã¶", "ö"],
+  ["Ã¼", "ü"],
+  ["Ã±", "ñ"],
+  ["Ã§", "ç"],
+  ["Â\u00a0", " "],
+  ["Â ", " "],
+];
+
+const entityNames = {
+  amp: "&",
+  lt: "<",
+  gt: ">",
+  quot: '"',
+  apos: "'",
+  nbsp: "\u00a0",
+  hellip: "…",
+  mdash: "—",
+  ndash: "–",
+  lsquo: "‘",
+  rsquo: "’",
+  ldquo: "“",
+  rdquo: "”",
+  laquo: "«",
+  raquo: "»",
+  middot: "·",
+  bull: "•",
+};
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, code) => {
+    if (code[0] === "#") {
+      var num =
+        code[1].toLowerCase() === "x"
+          ? parseInt(code.slice(2), 16)
+          : parseInt(code.slice(1));
+      return num > 0 && num <= 0x10ffff ? String.fromCodePoint(num) : match;
+    }
+    return entityNames[code.toLowerCase()] ?? match;
+  });
+}
+
+// Decode what scraped text keeps after the DOM has read it: literal escapes
+// ("u0026", "\u2019"), entities, also double-encoded ("&amp;#8217;"),
+// mojibake, zero-width characters and non-breaking spaces. Line breaks stay.
+function normalizeText(text) {
+  if (!text) return "";
+  // Only \u00XX and \u20XX, so words such as "dubbed" are left alone
+  var value = `${text}`.replace(
+    /\\?u(00[0-9a-f]{2}|20[0-9a-f]{2})/gi,
+    (m, code) => String.fromCharCode(parseInt(code, 16))
+  );
+  for (var i = 0; i < 3; i++) {
+    var decoded = decodeEntities(value);
+    if (decoded === value) break;
+    value = decoded;
+  }
+  mojibake.forEach(([bad, good]) => {
+    value = value.split(bad).join(good);
+  });
+  return value
+    .replace(/[\u200b-\u200d\u2060\ufeff\u00ad]/g, "")
+    .replace(/[\u00a0\u2007\u202f]/g, " ")
+    .replace(/[ \t\r\f\v]+/g, " ")
+    .replace(/ *\n */g, "\n")
+    .trim();
+}
+
+// Text made safe to put inside the chapter html.
+function escapeHtml(text) {
+  return text.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+}
 
 class DefaultExtension extends MProvider {
+  constructor() {
+    super();
+    this.client = new Client();
+  }
+
   getHeaders(url) {
-      throw new Error("getHeaders not implemented");
+    return {
+      Referer: `${this.source.baseUrl}/`,
+    };
   }
+
+  absUrl(url) {
+    if (!url) return "";
+    if (url.startsWith("//")) return "https:" + url;
+    if (url.startsWith("http")) return url;
+    return this.source.baseUrl + (url.startsWith("/") ? "" : "/") + url;
+  }
+
+  // Throw a readable error for responses that are not a page.
+  checkResponse(res, url) {
+    if (res.statusCode == 429) {
+      throw new Error(
+        `${this.source.baseUrl} is rate limiting requests (HTTP 429), try again later`
+      );
+    }
+    if (res.statusCode >= 400) {
+      throw new Error(`HTTP ${res.statusCode} for ${url}`);
+    }
+    return res;
+  }
+
+  async request(slug) {
+    var url = slug.startsWith("http") ? slug : `${this.source.baseUrl}${slug}`;
+    var res = await this.client.get(url, this.getHeaders(url));
+    return new Document(this.checkResponse(res, url).body);
+  }
+
+  // First match of `selector` in `parent`, or an error naming the page and
+  // the missing element. For parts without which the result is meaningless.
+  selectRequired(parent, selector, url, what) {
+    var element = parent ? parent.selectFirst(selector) : null;
+    if (!element) {
+      throw new Error(
+        `${what} not found on ${url} (no element matches "${selector}")`
+      );
+    }
+    return element;
+  }
+
+  parseList(doc) {
+    var list = [];
+    doc.select("li.novel-item").forEach((item) => {
+      var linkSection = item.selectFirst("a");
+      if (!linkSection) return;
+      var link = linkSection.getHref.replace(this.source.baseUrl, "");
+      var titleSection = item.selectFirst("h4") ?? linkSection;
+      var name = normalizeText(linkSection.attr("title") || titleSection.text);
+      var img = item.selectFirst("img");
+      var imageUrl = img
+        ? this.absUrl(img.attr("data-src") || img.attr("src"))
+        : "";
+      list.push({ name, link, imageUrl });
+    });
+    return list;
+  }
+
+  hasNextPage(doc) {
+    var pages = doc.select(".pagination li");
+    if (!pages.length) return false;
+    var last = pages.slice(-1)[0];
+    return !last.className.includes("active") && !!last.selectFirst("a");
+  }
+
+  // Listing urls look like /list/{genre}/{status}-{sort}-{page - 1}.html
+  async listPage({
+    genre = "all",
+    status = "all",
+    sort = "onclick",
+    page = 1,
+  } = {}) {
+    var doc = await this.request(
+      `/list/${genre}/${status}-${sort}-${page - 1}.html`
+    );
+    return { list: this.parseList(doc), hasNextPage: this.hasNextPage(doc) };
+  }
+
   async getPopular(page) {
-      throw new Error("getPopular not implemented");
+    return await this.listPage({ sort: "onclick", page: page });
   }
+
   async getLatestUpdates(page) {
-      throw new Error("getLatestUpdates not implemented");
+    return await this.listPage({ sort: "lastdotime", page: page });
   }
+
+  // The keyword search takes a title only and its results carry no genre or
+  // status, so the filters (labelled as such) only browse the listings.
   async search(query, page, filters) {
-      throw new Error("search not implemented");
+    function selectFiler(filter) {
+      return filter.values[filter.state].value;
+    }
+
+    query = query.trim();
+    if (query) {
+      // The site search only returns a single page of results.
+      if (page > 1) return { list: [], hasNextPage: false };
+      var baseUrl = this.source.baseUrl;
+      var searchUrl = `${baseUrl}/e/search/index.php`;
+      var res = await this.client.post(
+        searchUrl,
+        {
+          Referer: `${baseUrl}/search.html`,
+          Origin: baseUrl,
+          "Content-Type": "application/x-www-form-urlencoded",
+        },
+        { show: "title", tempid: "1", tbname: "news", keyboard: query }
+      );
+      var doc = new Document(this.checkResponse(res, searchUrl).body);
+      return { list: this.parseList(doc), hasNextPage: false };
+    }
+
+    var isFiltersAvailable = filters && filters.length != 0;
+    var genre = isFiltersAvailable ? selectFiler(filters[0]) : "all";
+    var status = isFiltersAvailable ? selectFiler(filters[1]) : "all";
+    var sort = isFiltersAvailable ? selectFiler(filters[2]) : "onclick";
+
+    return await this.listPage({ genre, status, sort, page });
   }
+
   async getDetail(url) {
-      throw new Error("getDetail not implemented");
+    function statusCode(status) {
+      return (
+        {
+          "ongoing": 0,
+          "completed": 1,
+        }[status.toLowerCase()] ?? 5
+      );
+    }
+    var baseUrl = this.source.baseUrl;
+    var slug = url.replace(baseUrl, "");
+    var link = baseUrl + slug;
+
+    var doc = await this.request(slug);
+
+    var name = normalizeText(
+      this.selectRequired(doc, "h1.novel-title", link, "Novel title").text
+    );
+    var cover = doc.selectFirst("figure.cover img");
+    var imageUrl = cover
+      ? this.absUrl(cover.attr("data-src") || cover.attr("src"))
+      : "";
+    var authorSection = doc.selectFirst("[itemprop=author]");
+    var author = authorSection ? normalizeText(authorSection.text) : "";
+    var genre = doc
+      .select(".categories a")
+      .map((a) => normalizeText(a.text))
+      .filter((g) => g);
+    var status = 5;
+    var chapterCount = 0;
+    doc.select(".header-stats span").forEach((item) => {
+      var label = (item.selectFirst("small")?.text ?? "").trim();
+      var value = (item.selectFirst("strong")?.text ?? "").trim();
+      if (label.includes("Chapters")) {
+        chapterCount = parseInt(value.replace(/[^0-9]/g, "")) || 0;
+      } else if (label.includes("Status")) {
+        status = statusCode(value);
+      }
+    });
+    var summary = doc.selectFirst(".summary .content");
+    var description = summary
+      ? summary
+          .select("p")
+          .map((p) => normalizeText(p.text))
+          .filter((p) => p)
+          .join("\n\n") || normalizeText(summary.text)
+      : "";
+
+    // Chapter pages follow /novel/{slug}_{number}.html, so the full list can
+    // be built from the chapter count. The latest chapters listed on the page
+    // provide the real titles where available, and stand in for the count or
+    // the whole list when the page has no count.
+    var known = {};
+    doc.select(".chapter-list li").forEach((item) => {
+      var a = item.selectFirst("a");
+      if (!a) return;
+      var chapLink = a.getHref.replace(baseUrl, "");
+      var titleSection = item.selectFirst(".chapter-title") ?? a;
+      var timeSection =
+        item.selectFirst("time") ?? item.selectFirst(".chapter-update");
+      known[chapLink] = {
+        name: normalizeText(titleSection.text),
+        dateUpload: timeSection
+          ? parseDate(timeSection.attr("datetime") || timeSection.text)
+          : null,
+      };
+    });
+
+    var base = slug.replace(/\.html$/, "");
+    if (!chapterCount) {
+      Object.keys(known).forEach((chapLink) => {
+        var number = chapLink.startsWith(`${base}_`)
+          ? chapLink.match(/_(\d+)\.html$/)
+          : null;
+        if (number) chapterCount = Math.max(chapterCount, parseInt(number[1]));
+      });
+    }
+
+    var chapters = [];
+    for (var i = chapterCount; i >= 1; i--) {
+      var chapLink = `${base}_${i}.html`;
+      chapters.push({
+        name: known[chapLink]?.name || `Chapter ${i}`,
+        url: chapLink,
+        dateUpload: known[chapLink]?.dateUpload ?? null,
+      });
+    }
+
+    if (!chapters.length) {
+      chapters = Object.keys(known).map((chapLink) => ({
+        name: known[chapLink].name,
+        url: chapLink,
+        dateUpload: known[chapLink].dateUpload,
+      }));
+    }
+
+    chapters = normalizeChapters(chapters);
+
+    return {
+      name,
+      imageUrl,
+      description,
+      link,
+      author,
+      status,
+      genre,
+      chapters,
+    };
   }
-  // For novel html content
-  async getHtmlContent(url) {
-      throw new Error("getHtmlContent not implemented");
+
+  async getHtmlContent(name, url) {
+    var doc = await this.request(url);
+    this.selectRequired(
+      doc,
+      ".chapter-content",
+      this.absUrl(url),
+      "Chapter text"
+    );
+    return this.cleanHtmlContent(doc);
   }
-  // Clean html up for reader
+
   async cleanHtmlContent(html) {
-      throw new Error("cleanHtmlContent not implemented");
-  }
-  // For anime episode video list
-  async getVideoList(url) {
-      throw new Error("getVideoList not implemented");
-  }
-  // For manga chapter pages
-  async getPageList(url) {
-      throw new Error("getPageList not implemented");
+    var doc = typeof html === "string" ? new Document(html) : html;
+    var titleSection =
+      doc.selectFirst(".titles h2") ?? doc.selectFirst(".chapter-title");
+    var title = titleSection ? normalizeText(titleSection.text) : "";
+    var container = doc.selectFirst(".chapter-content");
+    // Already cleaned content handed back by the app
+    if (!container) return typeof html === "string" ? html : "";
+    var content = container
+      .select("p")
+      .map((item) => normalizeText(item.text))
+      .filter((text) => text)
+      .map((text) => `<p>${escapeHtml(text)}</p>`)
+      .join("\n");
+
+    return title ? `<h2>${escapeHtml(title)}</h2><hr>${content}` : content;
   }
+
   getFilterList() {
-      throw new Error("getFilterList not implemented");
+    function formateState(type_name, items, values) {
+      var state = [];
+      for (var i = 0; i < items.length; i++) {
+        state.push({ type_name: type_name, name: items[i], value: values[i] });
+      }
+      return state;
+    }
+
+    var filters = [];
+    var items = [];
+    var values = [];
+
+    // Genres (the listing only accepts a single genre)
+    items = [
+      "All",
+      "Action",
+      "Adult",
+      "Adventure",
+      "Comedy",
+      "Drama",
+      "Eastern",
+      "Ecchi",
+      "Fan-Fiction",
+      "Fantasy",
+      "Game",
+      "Gender Bender",
+      "Harem",
+      "Historical",
+      "Horror",
+      "Isekai",
+      "Josei",
+      "Magic",
+      "Martial Arts",
+      "Mature",
+      "Mecha",
+      "Military",
+      "Modern Life",
+      "Mystery",
+      "Psychological",
+      "Reincarnation",
+      "Romance",
+      "School Life",
+      "Sci-fi",
+      "Seinen",
+      "Shoujo",
+      "Shounen",
+      "Slice of Life",
+      "Smut",
+      "Sports",
+      "Supernatural",
+      "System",
+      "Tragedy",
+      "Urban Life",
+      "Wuxia",
+      "Xianxia",
+      "Xuanhuan",
+      "Yaoi",
+      "Yuri",
+    ];
+    values = [
+      "all",
+      "action",
+      "adult",
+      "adventure",
+      "comedy",
+      "drama",
+      "eastern",
+      "ecchi",
+      "fan-fiction",
+      "fantasy",
+      "game",
+      "gender-bender",
+      "harem",
+      "historical",
+      "horror",
+      "isekai",
+      "josei",
+      "magic",
+      "martial-arts",
+      "mature",
+      "mecha",
+      "military",
+      "modern-life",
+      "mystery",
+      "psychological",
+      "reincarnation",
+      "romance",
+      "school-life",
+      "sci-fi",
+      "seinen",
+      "shoujo",
+      "shounen",
+      "slice-of-life",
+      "smut",
+      "sports",
+      "supernatural",
+      "system",
+      "tragedy",
+      "urban-life",
+      "wuxia",
+      "xianxia",
+      "xuanhuan",
+      "yaoi",
+      "yuri",
+    ];
+    filters.push({
+      type_name: "SelectFilter",
+      name: "Genre (without a search term)",
+      state: 0,
+      values: formateState("SelectOption", items, values),
+    });
+
+    // Status
+    items = ["All", "Ongoing", "Completed"];
+    values = ["all", "Ongoing", "Completed"];
+    filters.push({
+      type_name: "SelectFilter",
+      name: "Status (without a search term)",
+      state: 0,
+      values: formateState("SelectOption", items, values),
+    });
+
+    // Sort order
+    items = ["Popular", "New", "Updates"];
+    values = ["onclick", "newstime", "lastdotime"];
+    filters.push({
+      type_name: "SelectFilter",
+      name: "Order by (without a search term)",
+      state: 0,
+      values: formateState("SelectOption", items, values),
+    });
+
+    return filters;
   }
+
   getSourcePreferences() {
-      throw new Error("getSourcePreferences not implemented");
+    return [];
   }
 }
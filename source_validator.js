@@ -0,0 +1,250 @@
+#!/usr/bin/env node
+/**
+ * source_validator.js
+ * Checks the `mangayomiSources` metadata of every extension under javascript/
+ * the way source_generator.dart reads it, and compares it with the committed
+ * indexes. Every violation is reported; the exit code is 1 if there is any.
+ *
+ *   node source_validator.js
+ *
+ * Checks:
+ * - the block matches the generator's regex and is strict JSON (no comments,
+ *   no trailing commas), as Dart's jsonDecode requires
+ * - required fields and their types, numeric and unique ids
+ * - pkgPath points at the file that declares it
+ * - itemType matches the javascript/<manga|anime|novel>/ folder and isManga
+ * - versions never go backwards against index.json, anime_index.json and
+ *   novel_index.json, and metadata changes come with a version bump
+ * - JSON files at the repository root parse
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const ROOT = __dirname;
+const INDEX_FILES = { 0: "index.json", 1: "anime_index.json", 2: "novel_index.json" };
+const ITEM_TYPE_DIRS = { manga: 0, anime: 1, novel: 2 };
+// Same pattern as source_generator.dart
+const SOURCES_REGEX = /const\s+mangayomiSources\s*=\s*(\[.*?\]);/s;
+const REQUIRED = {
+  name: "string",
+  id: "number",
+  baseUrl: "string",
+  lang: "string",
+  typeSource: "string",
+  iconUrl: "string",
+  version: "string",
+  itemType: "number",
+  pkgPath: "string",
+};
+// Fields copied into the index; changing one requires a new version
+const INDEXED_FIELDS = [
+  "name",
+  "baseUrl",
+  "lang",
+  "typeSource",
+  "iconUrl",
+  "dateFormat",
+  "dateFormatLocale",
+  "isNsfw",
+  "hasCloudflare",
+  "apiUrl",
+  "itemType",
+  "isFullData",
+  "appMinVerReq",
+  "additionalParams",
+];
+
+function compareVersions(a, b) {
+  const pa = a.split(".").map((n) => parseInt(n) || 0);
+  const pb = b.split(".").map((n) => parseInt(n) || 0);
+  for (let i = 0; i < Math.max(pa.length, pb.length); i++) {
+    const diff = (pa[i] ?? 0) - (pb[i] ?? 0);
+    if (diff) return diff;
+  }
+  return 0;
+}
+
+function jsFiles(dir) {
+  const out = [];
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    const full = path.join(dir, entry.name);
+    if (entry.isDirectory()) out.push(...jsFiles(full));
+    else if (entry.name.endsWith(".js")) out.push(full);
+  }
+  return out.sort();
+}
+
+/**
+ * parseSourceFile(file, code)
+ * Returns { sources, errors } for one extension file.
+ */
+function parseSourceFile(file, code) {
+  const errors = [];
+  const match = code.match(SOURCES_REGEX);
+  if (!match) {
+    if (code.includes("mangayomiSources")) errors.push("mangayomiSources block does not match the generator regex");
+    return { sources: [], errors };
+  }
+  try {
+    const sources = JSON.parse(match[1]);
+    if (!Array.isArray(sources)) throw new Error("not an array");
+    return { sources, errors };
+  } catch (e) {
+    errors.push(`mangayomiSources is not valid JSON (${e.message}); check for comments or trailing commas`);
+    return { sources: [], errors };
+  }
+}
+
+/**
+ * checkSource(source, relFile, jsDir)
+ * Field-level checks for one entry of a mangayomiSources block.
+ */
+function checkSource(source, relFile, jsDir = path.join(ROOT, "javascript")) {
+  const errors = [];
+  for (const [field, type] of Object.entries(REQUIRED)) {
+    if (source[field] === undefined || source[field] === null || source[field] === "") {
+      errors.push(`missing required field "${field}"`);
+    } else if (typeof source[field] !== type) {
+      errors.push(`"${field}" must be a ${type}, got ${JSON.stringify(source[field])}`);
+    }
+  }
+  if (typeof source.id === "number" && !Number.isInteger(source.id)) {
+    errors.push(`"id" must be an integer, got ${source.id}`);
+  }
+  if (typeof source.baseUrl === "string" && source.baseUrl) {
+    if (!/^https?:\/\//.test(source.baseUrl)) errors.push(`baseUrl "${source.baseUrl}" is not an http(s) url`);
+    if (source.baseUrl.endsWith("/")) errors.push(`baseUrl "${source.baseUrl}" must not end with a slash`);
+  }
+  if (typeof source.version === "string" && !/^\d+\.\d+\.\d+$/.test(source.version)) {
+    errors.push(`version "${source.version}" is not in x.y.z form`);
+  }
+
+  const relPath = relFile.split(path.sep).join("/");
+  if (typeof source.pkgPath === "string" && source.pkgPath) {
+    if (!fs.existsSync(path.join(jsDir, source.pkgPath))) {
+      errors.push(`pkgPath "${source.pkgPath}" does not exist under javascript/`);
+    } else if (source.pkgPath !== relPath) {
+      errors.push(`pkgPath "${source.pkgPath}" points at another file than ${relPath}`);
+    }
+  }
+
+  const expectedType = ITEM_TYPE_DIRS[relPath.split("/")[0]];
+  if (expectedType !== undefined && source.itemType !== undefined && source.itemType !== expectedType) {
+    errors.push(`itemType ${source.itemType} does not match the ${relPath.split("/")[0]}/ folder (expected ${expectedType})`);
+  }
+  if (source.isManga !== undefined && source.itemType !== undefined && source.isManga !== (source.itemType === 0)) {
+    errors.push(`isManga ${source.isManga} contradicts itemType ${source.itemType}`);
+  }
+
+  return errors;
+}
+
+/**
+ * Load a committed index; a missing file is an empty index.
+ */
+function readIndex(root, name) {
+  const file = path.join(root, name);
+  if (!fs.existsSync(file)) return { entries: [], error: null };
+  try {
+    return { entries: JSON.parse(fs.readFileSync(file, "utf8")), error: null };
+  } catch (e) {
+    return { entries: [], error: `${name} is not valid JSON (${e.message})` };
+  }
+}
+
+/**
+ * checkAgainstIndex(source, entry)
+ * Version must not go backwards, and indexed fields may only change along
+ * with a version bump.
+ */
+function checkAgainstIndex(source, entry) {
+  const errors = [];
+  if (typeof source.version !== "string" || typeof entry.version !== "string") return errors;
+  const order = compareVersions(source.version, entry.version);
+  if (order < 0) {
+    errors.push(`version ${source.version} is lower than ${entry.version} in the index`);
+  } else if (order === 0) {
+    const changed = INDEXED_FIELDS.filter(
+      (field) => source[field] !== undefined && entry[field] !== undefined && source[field] !== entry[field]
+    );
+    if (changed.length) errors.push(`${changed.join(", ")} changed without a version bump (still ${source.version})`);
+  }
+  return errors;
+}
+
+/**
+ * Root-level files that look like JSON (repo.json, indexes, scratch lists)
+ * must parse, since tooling and the app read them.
+ */
+function checkRootJson(root) {
+  const errors = [];
+  for (const entry of fs.readdirSync(root, { withFileTypes: true })) {
+    if (!entry.isFile() || entry.name.startsWith(".") || /\.(md|dart|js|png|yml|jsonl)$/.test(entry.name)) continue;
+    const text = fs.readFileSync(path.join(root, entry.name), "utf8");
+    if (!/^\s*[[{]/.test(text)) continue;
+    try {
+      JSON.parse(text);
+    } catch (e) {
+      errors.push({ file: entry.name, message: `not valid JSON (${e.message})` });
+    }
+  }
+  return errors;
+}
+
+/**
+ * validate({ root }) -> [{ file, message }]
+ */
+function validate({ root = ROOT } = {}) {
+  const jsDir = path.join(root, "javascript");
+  const violations = [];
+  const report = (file, message) => violations.push({ file, message });
+
+  const seenIds = new Map();
+  const declared = [];
+  for (const file of jsFiles(jsDir)) {
+    const relFile = path.relative(jsDir, file);
+    const { sources, errors } = parseSourceFile(relFile, fs.readFileSync(file, "utf8"));
+    const shown = path.relative(root, file).split(path.sep).join("/");
+    errors.forEach((message) => report(shown, message));
+    for (const source of sources) {
+      checkSource(source, relFile, jsDir).forEach((message) => report(shown, message));
+      if (source.id !== undefined) {
+        if (seenIds.has(source.id)) report(shown, `id ${source.id} is already used by ${seenIds.get(source.id)}`);
+        else seenIds.set(source.id, shown);
+      }
+      declared.push({ source, file: shown });
+    }
+  }
+
+  for (const [itemType, name] of Object.entries(INDEX_FILES)) {
+    const { entries, error } = readIndex(root, name);
+    if (error) {
+      report(name, error);
+      continue;
+    }
+    for (const entry of entries) {
+      const match = declared.find(({ source }) => source.id === entry.id);
+      if (!match) {
+        report(name, `lists "${entry.name}" (id ${entry.id}) but no source file declares that id`);
+        continue;
+      }
+      if (match.source.itemType !== Number(itemType)) {
+        report(match.file, `itemType ${match.source.itemType} but the source is listed in ${name}`);
+      }
+      checkAgainstIndex(match.source, entry).forEach((message) => report(match.file, message));
+    }
+  }
+
+  violations.push(...checkRootJson(root));
+  return violations;
+}
+
+if (require.main === module) {
+  const violations = validate();
+  for (const { file, message } of violations) console.log(`${file}: ${message}`);
+  console.log(violations.length ? `\n${violations.length} violation(s)` : "all sources valid");
+  if (violations.length) process.exitCode = 1;
+}
+
+module.exports = { validate, parseSourceFile, checkSource, checkAgainstIndex, compareVersions };
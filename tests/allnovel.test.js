@@ -0,0 +1,407 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { loadFixtureSource, loadSource } = require("./harness/runtime");
+
+test("getPopular parses article cards", async () => {
+  const { extension, client } = loadFixtureSource("allnovel");
+  const { list, hasNextPage } = await extension.getPopular(1);
+
+  assert.equal(client.requests[0].url, "https://allnovel.org/most-popular/?paged=1");
+  assert.deepEqual(list, [
+    {
+      name: "Martial Peak",
+      link: "/novel/martial-peak/",
+      imageUrl: "https://allnovel.org/wp-content/uploads/martial-peak.jpg",
+    },
+    {
+      name: "Lord of the Mysteries",
+      link: "/novel/lord-of-the-mysteries/",
+      imageUrl: "https://allnovel.org/wp-content/uploads/lord-of-the-mysteries.jpg",
+    },
+  ]);
+  assert.equal(hasNextPage, true);
+});
+
+test("search routes keyword, genre and sort filters", async () => {
+  const { extension, client } = loadFixtureSource("allnovel");
+  const keyword = await extension.search("martial", 1, extension.getFilterList());
+
+  const filters = extension.getFilterList();
+  filters[0].state = filters[0].values.findIndex((item) => item.value === "fantasy");
+  const genre = await extension.search("", 1, filters);
+
+  assert.equal(keyword.list.length, 2);
+  assert.equal(genre.list.length, 2);
+  assert.deepEqual(
+    client.requests.map((request) => request.url),
+    ["https://allnovel.org/?s=martial&paged=1", "https://allnovel.org/genre/fantasy/?paged=1"]
+  );
+});
+
+test("getDetail follows TOC pagination and de-duplicates chapters", async () => {
+  const { extension } = loadFixtureSource("allnovel");
+  const detail = await extension.getDetail("https://allnovel.org/novel/martial-peak/");
+
+  assert.equal(detail.name, "Martial Peak");
+  assert.equal(detail.imageUrl, "https://allnovel.org/wp-content/uploads/martial-peak.jpg");
+  assert.equal(detail.author, "Momo");
+  assert.equal(detail.status, 0);
+  assert.deepEqual(detail.genre, ["Action", "Fantasy", "Martial Arts"]);
+  assert.match(detail.description, /^The journey to the martial peak/);
+  assert.deepEqual(
+    detail.chapters.map((chapter) => chapter.url),
+    [5, 4, 3, 2, 1].map((n) => `/novel/martial-peak/chapter-${n}/`)
+  );
+  assert.equal(detail.chapters[4].dateUpload, `${new Date(2024, 2, 1).valueOf()}`);
+});
+
+test("a TOC page that fails fails getDetail instead of dropping its chapters", async () => {
+  const { extension } = loadFixtureSource("allnovel", {
+    routes: [{ url: "https://allnovel.org/novel/martial-peak/?paged=2", status: 429 }],
+  });
+
+  await assert.rejects(extension.getDetail("/novel/martial-peak/"), /allnovel\.org is rate limiting requests \(HTTP 429\)/);
+});
+
+test("getDetail prefers the chapter archive when the page has a novel id", async () => {
+  const { extension, client } = loadFixtureSource("allnovel");
+  const detail = await extension.getDetail("/novel/lord-of-the-mysteries/");
+
+  assert.equal(client.requests[1].url, "https://allnovel.org/ajax/chapter-archive?novelId=771");
+  assert.equal(detail.status, 1);
+  assert.deepEqual(
+    detail.chapters.map((chapter) => chapter.name),
+    ["Chapter 3 - Melissa", "Chapter 2 - Situation", "Chapter 1 - Crimson"]
+  );
+});
+
+test("requests move to a working mirror and stored links follow it", async () => {
+  const { extension, client, preferences } = loadFixtureSource("allnovel", {
+    routes: [
+      { url: "https://allnovel.org/novel/martial-peak/chapter-1/", status: 503, body: "Service unavailable" },
+      { url: "https://www.allnovel.org/novel/martial-peak/chapter-1/", file: "chapter.html" },
+      { url: "https://www.allnovel.org/most-popular/?paged=1", file: "list.html" },
+    ],
+  });
+  const html = await extension.getHtmlContent("Chapter 1", "https://allnovel.org/novel/martial-peak/chapter-1/");
+  const { list } = await extension.getPopular(1);
+
+  assert.match(html, /<img src="https:\/\/www\.allnovel\.org\/wp-content\/uploads\/illustration-1\.jpg">/);
+  assert.equal(preferences.allnovel_active_mirror, "https://www.allnovel.org");
+  assert.deepEqual(
+    client.requests.map((request) => request.url.replace(/^https:\/\/([^/]+).*$/, "$1")),
+    ["allnovel.org", "allnovel.org", "allnovel.org", "www.allnovel.org", "www.allnovel.org"]
+  );
+  assert.equal(list[0].link, "/novel/martial-peak/");
+});
+
+test("requests are paced per host and a lasting 429 is reported", async () => {
+  const { extension, client, timers } = loadFixtureSource("allnovel", {
+    routes: [{ url: "https://allnovel.org/novel/busy/", status: 429, headers: { "Retry-After": "1" } }],
+  });
+  await extension.getDetail("/novel/martial-peak/");
+
+  // The two TOC pages are fetched together but start half a second apart
+  assert.equal(timers.length, 2);
+  assert.ok(timers[0] > 400 && timers[0] <= 500);
+  assert.ok(timers[1] > 900 && timers[1] <= 1000);
+
+  await assert.rejects(extension.getDetail("/novel/busy/"), /allnovel\.org is rate limiting requests \(HTTP 429\)/);
+  assert.equal(client.requests.filter((request) => request.url.endsWith("/busy/")).length, 3);
+});
+
+test("a Retry-After longer than a few seconds is not waited for", async () => {
+  const { extension, client, timers } = loadFixtureSource("allnovel", {
+    routes: [{ url: "https://allnovel.org/novel/busy/", status: 429, headers: { "Retry-After": "600" } }],
+  });
+
+  await assert.rejects(extension.getDetail("/novel/busy/"), /allnovel\.org is rate limiting requests \(HTTP 429\)/);
+  assert.equal(client.requests.length, 1);
+  assert.equal(timers.length, 0);
+});
+
+test("without timers, as in the app, a 429 is reported without a burst of retries", async () => {
+  const { extension, client } = loadFixtureSource("allnovel", {
+    timers: false,
+    routes: [{ url: "https://allnovel.org/novel/busy/", status: 429, headers: { "Retry-After": "1" } }],
+  });
+
+  await assert.rejects(extension.getDetail("/novel/busy/"), /allnovel\.org is rate limiting requests \(HTTP 429\)/);
+  assert.equal(client.requests.length, 1);
+});
+
+test("list names, novel details, chapter names and chapter text decode escapes and mojibake", async () => {
+  const { extension } = loadFixtureSource("allnovel", {
+    routes: [
+      {
+        url: "https://allnovel.org/most-popular/?paged=1",
+        body: `<article><h2><a href="/novel/tom-and-jerry/">Tom u0026amp; Jerry\u200b&nbsp;Adventures</a></h2></article>
+          <article><h2><a href="/novel/caf/" title="CafÃ© &amp;amp;#8220;Noir&amp;amp;#8221;">Cafe</a></h2></article>`,
+      },
+      {
+        url: "https://allnovel.org/novel/caf/",
+        body: `<h1 class="entry-title">CafÃ© &amp;amp;#8220;Noir&amp;amp;#8221;</h1>
+          <ul class="novel-info"><li>Author: Mo&amp;#8217;s\u00a0Pen</li><li>Genre: Slice of Life, Drama</li></ul>
+          <div class="entry-content"><p>Itâ€™s a  storyÂ&nbsp;about \ufeffcoffee.</p></div>
+          <ul class="chapter-list"><li><a href="/novel/caf/chapter-1/">Chapter 1 \\u2013 The First Cup</a></li></ul>`,
+      },
+      {
+        url: "https://allnovel.org/novel/caf/chapter-1/",
+        body: `<h1 class="entry-title">Chapter 1 \\u2013 The First Cup</h1>
+          <div id="chapter-content"><p>1 &lt; 2 â€” said the barista&#8230;</p></div>`,
+      },
+    ],
+  });
+  const { list } = await extension.getPopular(1);
+  const detail = await extension.getDetail("/novel/caf/");
+  const html = await extension.getHtmlContent("Chapter 1", "/novel/caf/chapter-1/");
+
+  assert.deepEqual(
+    list.map((item) => item.name),
+    ["Tom & Jerry Adventures", "Café “Noir”"]
+  );
+  assert.equal(detail.name, "Café “Noir”");
+  assert.equal(detail.author, "Mo’s Pen");
+  assert.equal(detail.description, "It’s a story about coffee.");
+  assert.deepEqual(
+    detail.chapters.map((chapter) => chapter.name),
+    ["Chapter 1 – The First Cup"]
+  );
+  assert.equal(html, "<h2>Chapter 1 – The First Cup</h2><hr><p>1 &lt; 2 — said the barista…</p>");
+});
+
+test("a pasted novel or chapter link opens its novel", async () => {
+  const { extension, client } = loadFixtureSource("allnovel", {
+    routes: [
+      {
+        url: "https://allnovel.org/martial-peak-chapter-2/",
+        body: `<nav class="breadcrumb"><a href="/">Home</a> » <a href="https://allnovel.org/novel/martial-peak/">Martial Peak</a></nav>
+          <div id="chapter-content"><p>Text.</p></div>`,
+      },
+      { url: "https://allnovel.org/?s=https%3A%2F%2Fexample.com%2Fnovel%2Fmartial-peak%2F&paged=1", body: "" },
+    ],
+  });
+  const expected = [
+    {
+      name: "Martial Peak",
+      link: "/novel/martial-peak/",
+      imageUrl: "https://allnovel.org/wp-content/uploads/martial-peak.jpg",
+    },
+  ];
+
+  const novel = await extension.search("https://www.allnovel.org/novel/martial-peak/?ref=home", 1, extension.getFilterList());
+  const chapter = await extension.search("https://allnovel.org/novel/martial-peak/chapter-1/", 1, extension.getFilterList());
+  const crumb = await extension.search(" https://allnovel.org/martial-peak-chapter-2/ ", 1, extension.getFilterList());
+  const next = await extension.search("https://allnovel.org/novel/martial-peak/", 2, extension.getFilterList());
+  const other = await extension.search("https://example.com/novel/martial-peak/", 1, extension.getFilterList());
+
+  assert.deepEqual(novel, { list: expected, hasNextPage: false });
+  assert.deepEqual(chapter.list, expected);
+  assert.deepEqual(crumb.list, expected);
+  assert.deepEqual(next, { list: [], hasNextPage: false });
+  assert.deepEqual(other.list, []);
+  assert.deepEqual(
+    client.requests.map((request) => request.url),
+    [
+      "https://allnovel.org/novel/martial-peak/",
+      "https://allnovel.org/novel/martial-peak/chapter-1/",
+      "https://allnovel.org/novel/martial-peak/",
+      "https://allnovel.org/martial-peak-chapter-2/",
+      "https://allnovel.org/novel/martial-peak/",
+      "https://allnovel.org/?s=https%3A%2F%2Fexample.com%2Fnovel%2Fmartial-peak%2F&paged=1",
+    ]
+  );
+});
+
+test("challenge and captcha pages raise an error instead of an empty list", async () => {
+  const { extension, client } = loadFixtureSource("allnovel", {
+    routes: [
+      { url: "https://allnovel.org/most-popular/?paged=1", status: 503, body: "<html><head><title>Just a moment...</title></head></html>" },
+      {
+        url: "https://allnovel.org/?s=martial&paged=1",
+        status: 403,
+        body: '<html><body><form><div class="g-recaptcha"></div></form></body></html>',
+      },
+    ],
+  });
+
+  await assert.rejects(extension.getPopular(1), { name: "ChallengeError", message: /allnovel\.org .*Open the source in WebView/ });
+  await assert.rejects(extension.search("martial", 1, extension.getFilterList()), { name: "ChallengeError" });
+  assert.equal(client.requests.length, 2);
+});
+
+test("rate limiting and HTTP errors in listings are raised, not shown as no results", async () => {
+  const { extension, client } = loadFixtureSource("allnovel", {
+    routes: [
+      { url: "https://allnovel.org/most-popular/?paged=1", status: 429 },
+      { url: "https://allnovel.org/?s=martial&paged=1", status: 429 },
+      { url: "https://allnovel.org/latest/?paged=1", status: 404, body: "Not found" },
+    ],
+  });
+
+  await assert.rejects(extension.getPopular(1), /allnovel\.org is rate limiting requests \(HTTP 429\)/);
+  // The other popular paths are not tried on a host that is rate limiting
+  assert.ok(client.requests.every((request) => request.url === "https://allnovel.org/most-popular/?paged=1"));
+  await assert.rejects(extension.search("martial", 1, extension.getFilterList()), /rate limiting requests \(HTTP 429\)/);
+  await assert.rejects(extension.getLatestUpdates(1), /HTTP 404 for https:\/\/allnovel\.org\/latest\/\?paged=1/);
+});
+
+test("locked chapters are marked or hidden and return a locked page", async () => {
+  const routes = [
+    {
+      url: "https://allnovel.org/ajax/chapter-archive?novelId=771",
+      body: [
+        '<ul class="list-chapter">',
+        '  <li><a href="/novel/lord-of-the-mysteries/chapter-1/">Chapter 1 - Crimson</a></li>',
+        '  <li class="vip"><a href="/novel/lord-of-the-mysteries/chapter-2/">Chapter 2 - Situation</a> <span class="fa-lock"></span></li>',
+        "</ul>",
+      ].join("\n"),
+    },
+    {
+      url: "https://allnovel.org/novel/lord-of-the-mysteries/chapter-2/",
+      body: '<h1 class="entry-title">Chapter 2 - Situation</h1><div class="paywall"><a class="btn-unlock">Unlock</a></div>',
+    },
+  ];
+  const { extension } = loadFixtureSource("allnovel", { routes });
+  const detail = await extension.getDetail("/novel/lord-of-the-mysteries/");
+  const html = await extension.getHtmlContent("Chapter 2", "/novel/lord-of-the-mysteries/chapter-2/");
+
+  assert.deepEqual(
+    detail.chapters.map((chapter) => chapter.name),
+    ["🔒 Chapter 2 - Situation", "Chapter 1 - Crimson"]
+  );
+  assert.match(html, /^<h2>Chapter 2 - Situation<\/h2><hr><p>🔒 This chapter is locked on AllNovel\.<\/p>/);
+
+  const hidden = loadFixtureSource("allnovel", { routes, preferences: { allnovel_locked_chapters: "hide" } });
+  const { chapters } = await hidden.extension.getDetail("/novel/lord-of-the-mysteries/");
+  assert.deepEqual(
+    chapters.map((chapter) => chapter.name),
+    ["Chapter 1 - Crimson"]
+  );
+});
+
+test("chapters are numbered, de-duplicated, ordered and grouped by volume", async () => {
+  const { extension } = loadFixtureSource("allnovel", {
+    routes: [
+      {
+        url: "https://allnovel.org/ajax/chapter-archive?novelId=771",
+        body: [
+          '<ul class="list-chapter">',
+          '  <li><a href="/novel/lord-of-the-mysteries/vol-2/chapter-3/">Volume 2 Chapter 3 - Melissa</a></li>',
+          '  <li><a href="/novel/lord-of-the-mysteries/vol-1/chapter-1/">Vol. 1 Chapter 1 - Crimson</a></li>',
+          '  <li><a href="/novel/lord-of-the-mysteries/interlude/">Interlude</a></li>',
+          '  <li><a href="/novel/lord-of-the-mysteries/vol-1/chapter-2/">Chapter 2 - Situation</a></li>',
+          '  <li><a href="/novel/lord-of-the-mysteries/chapter-2/?from=latest">Latest chapter: Chapter 2</a></li>',
+          '  <li><a href="/novel/lord-of-the-mysteries/vol-1/chapter-1/">Next</a></li>',
+          "</ul>",
+        ].join("\n"),
+      },
+    ],
+  });
+  const { chapters } = await extension.getDetail("/novel/lord-of-the-mysteries/");
+
+  assert.deepEqual(
+    chapters.map((chapter) => [chapter.name, chapter.scanlator]),
+    [
+      ["Volume 2 Chapter 3 - Melissa", "Volume 2"],
+      ["Chapter 2 - Situation", "Volume 1"],
+      ["Interlude", "Volume 1"],
+      ["Vol. 1 Chapter 1 - Crimson", "Volume 1"],
+    ]
+  );
+});
+
+test("multi-page chapters are stitched and the next chapter is not", async () => {
+  const page = (text, links) =>
+    `<h1 class="entry-title">Chapter 7 - Long</h1><div class="entry-content"><p>${text}</p>` +
+    `<p class="post-nav-links">Pages: ${links}</p></div>` +
+    '<a rel="next" href="https://allnovel.org/novel/martial-peak/chapter-8/">Next chapter</a>';
+  const { extension, client } = loadFixtureSource("allnovel", {
+    routes: [
+      {
+        url: "https://allnovel.org/novel/martial-peak/chapter-7/",
+        body: page("Part one.", '<a href="/novel/martial-peak/chapter-7/2/">2</a> <a href="/novel/martial-peak/chapter-7/3/">3</a>'),
+      },
+      {
+        url: "https://allnovel.org/novel/martial-peak/chapter-7/2/",
+        body: page("Part two.", '<a href="/novel/martial-peak/chapter-7/">1</a> <a href="/novel/martial-peak/chapter-7/3/">3</a>'),
+      },
+      {
+        url: "https://allnovel.org/novel/martial-peak/chapter-7/3/",
+        body: page("Part three.", '<a href="/novel/martial-peak/chapter-7/">1</a> <a href="/novel/martial-peak/chapter-7/2/">2</a>'),
+      },
+    ],
+  });
+  const html = await extension.getHtmlContent("Chapter 7", "/novel/martial-peak/chapter-7/");
+
+  assert.equal(
+    html,
+    "<h2>Chapter 7 - Long</h2><hr><p>Part one.</p>\n<p>Part two.</p>\n<p>Part three.</p>"
+  );
+  assert.equal(client.requests.length, 3);
+});
+
+test("getHtmlContent returns one clean html chapter", async () => {
+  const { extension } = loadFixtureSource("allnovel");
+  const html = await extension.getHtmlContent("Chapter 1", "/novel/martial-peak/chapter-1/");
+
+  assert.equal(
+    html,
+    "<h2>Chapter 1 - Young Master Yang</h2><hr>" +
+      [
+        "<p>Yang Kai swept the courtyard of the High Heaven Pavilion.</p>",
+        "<p>“Trial disciple Yang Kai,” a voice called loudly.</p>",
+        '<img src="https://allnovel.org/wp-content/uploads/illustration-1.jpg">',
+        "<p>He put the broom down.</p>",
+      ].join("\n")
+  );
+  assert.equal(await extension.cleanHtmlContent(html), html);
+});
+
+test("another site reuses the theme by supplying its own settings", async (t) => {
+  // A new source copies allnovel.js and replaces the metadata and the Extension section
+  const code = fs.readFileSync(path.join(__dirname, "..", "javascript", "novel", "src", "en", "allnovel.js"), "utf8");
+  const extensionAt = code.indexOf("/* ----------------- Extension ----------------- */");
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "theme-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const file = path.join(dir, "othernovel.js");
+  fs.writeFileSync(
+    file,
+    code.slice(0, extensionAt).replace('"baseUrl": "https://allnovel.org"', '"baseUrl": "https://othernovel.net"') +
+      `class DefaultExtension extends NovelFullTheme {
+        site() {
+          return { key: "othernovel", siteName: "OtherNovel", popularPaths: ["/ranking/page/{page}/"], listItems: [".book-card"] };
+        }
+      }`
+  );
+  const { extension, client } = loadSource(file, {
+    routes: [
+      {
+        url: "https://othernovel.net/ranking/page/2/",
+        body: '<div class="book-card"><h3><a href="https://othernovel.net/novel/solo-leveling/">Solo Leveling</a></h3></div>',
+      },
+    ],
+  });
+  const { list, hasNextPage } = await extension.getPopular(2);
+
+  assert.equal(client.requests[0].url, "https://othernovel.net/ranking/page/2/");
+  assert.deepEqual(list, [{ name: "Solo Leveling", link: "/novel/solo-leveling/", imageUrl: "" }]);
+  assert.equal(hasNextPage, false);
+  assert.equal(extension.getSourcePreferences()[0].key, "othernovel_locked_chapters");
+});
+
+test("the theme copy in wordrain69.js matches allnovel.js", () => {
+  // Sources cannot import, so every site on the theme carries its own copy
+  const section = (name) => {
+    const code = fs.readFileSync(path.join(__dirname, "..", "javascript", "novel", "src", "en", name), "utf8");
+    const start = code.indexOf("/* ----------------- Helpers");
+    const end = code.indexOf("/* ----------------- Extension");
+    assert.ok(start >= 0 && end > start, `${name} has no Helpers and Extension markers`);
+    return code.slice(start, end);
+  };
+
+  assert.equal(section("wordrain69.js"), section("allnovel.js"));
+});
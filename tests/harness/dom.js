@@ -0,0 +1,620 @@
+/**
+ * dom.js
+ * Stand-in for the app's `Document` / element API (see CONTRIBUTING-JS.md,
+ * "HTML DOM selector") so extensions can parse saved pages under Node.
+ *
+ * - Small HTML parser: void and raw-text elements, implied end tags for
+ *   p / li / option / table rows, entity decoding.
+ * - CSS selectors: type, #id, .class, [attr], [attr=|~=|^=|$=|*=|"|="value"],
+ *   descendant / child / sibling combinators, selector lists, and the
+ *   :first-child, :last-child, :nth-child(), :first-of-type, :last-of-type,
+ *   :only-child, :empty and :not() pseudo-classes.
+ *   Anything else throws, so an extension relying on a selector the app
+ *   does not understand fails loudly here too.
+ */
+
+const VOID_TAGS = new Set([
+  "area", "base", "br", "col", "embed", "hr", "img", "input",
+  "link", "meta", "param", "source", "track", "wbr",
+]);
+const RAW_TEXT_TAGS = new Set(["script", "style", "textarea", "title"]);
+// Opening one of these closes an open <p>
+const CLOSES_P = new Set([
+  "address", "article", "aside", "blockquote", "details", "div", "dl",
+  "fieldset", "figcaption", "figure", "footer", "form", "h1", "h2", "h3",
+  "h4", "h5", "h6", "header", "hr", "main", "nav", "ol", "p", "pre",
+  "section", "table", "ul",
+]);
+// Elements closed by a sibling of the listed names, bounded by a container
+const IMPLIED_END = {
+  li: { closes: ["li"], scope: ["ul", "ol"] },
+  dt: { closes: ["dt", "dd"], scope: ["dl"] },
+  dd: { closes: ["dt", "dd"], scope: ["dl"] },
+  option: { closes: ["option"], scope: ["select", "datalist"] },
+  tr: { closes: ["tr", "td", "th"], scope: ["table", "tbody", "thead", "tfoot"] },
+  td: { closes: ["td", "th"], scope: ["tr", "table"] },
+  th: { closes: ["td", "th"], scope: ["tr", "table"] },
+};
+
+const ENTITIES = {
+  amp: "&", lt: "<", gt: ">", quot: '"', apos: "'", nbsp: " ",
+  hellip: "…", mdash: "—", ndash: "–", lsquo: "‘",
+  rsquo: "’", ldquo: "“", rdquo: "”", laquo: "«",
+  raquo: "»", copy: "©", reg: "®", trade: "™",
+  bull: "•", middot: "·", times: "×", deg: "°",
+};
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, code) => {
+    if (code[0] === "#") {
+      const num = code[1] === "x" || code[1] === "X"
+        ? parseInt(code.slice(2), 16)
+        : parseInt(code.slice(1), 10);
+      try {
+        return String.fromCodePoint(num);
+      } catch (e) {
+        return match;
+      }
+    }
+    return ENTITIES[code.toLowerCase()] ?? match;
+  });
+}
+
+function escapeText(text) {
+  return text
+    .replace(/&/g, "&amp;")
+    .replace(/ /g, "&nbsp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;");
+}
+
+function escapeAttr(text) {
+  return text
+    .replace(/&/g, "&amp;")
+    .replace(/ /g, "&nbsp;")
+    .replace(/"/g, "&quot;");
+}
+
+/* ----------------- Nodes ----------------- */
+
+class Node {
+  constructor(type) {
+    this.type = type;
+    this.parentNode = null;
+    this.childNodes = [];
+  }
+
+  append(child) {
+    child.parentNode = this;
+    this.childNodes.push(child);
+  }
+}
+
+class TextNode extends Node {
+  constructor(data, raw = false) {
+    super("text");
+    this.data = data;
+    this.raw = raw;
+  }
+}
+
+class CommentNode extends Node {
+  constructor(data) {
+    super("comment");
+    this.data = data;
+  }
+}
+
+class ElementNode extends Node {
+  constructor(tagName, attributes = {}) {
+    super("element");
+    this.tagName = tagName;
+    this.attributes = attributes;
+  }
+
+  get elementChildren() {
+    return this.childNodes.filter((node) => node.type === "element");
+  }
+}
+
+/* ----------------- Parser ----------------- */
+
+const TAG_REGEX = /<(\/?)([a-zA-Z][a-zA-Z0-9:-]*)((?:"[^"]*"|'[^']*'|[^'">])*)>/y;
+const ATTR_REGEX = /([^\s"'>\/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/g;
+
+function parseAttributes(source) {
+  const attributes = {};
+  let match;
+  ATTR_REGEX.lastIndex = 0;
+  while ((match = ATTR_REGEX.exec(source))) {
+    const name = match[1].toLowerCase();
+    if (name in attributes) continue;
+    const value = match[2] ?? match[3] ?? match[4] ?? "";
+    attributes[name] = decodeEntities(value);
+  }
+  return attributes;
+}
+
+function parseHtml(html) {
+  const root = new ElementNode("#document");
+  const stack = [root];
+  const current = () => stack[stack.length - 1];
+
+  function closeTag(name) {
+    for (let i = stack.length - 1; i > 0; i--) {
+      if (stack[i].tagName === name) {
+        stack.length = i;
+        return;
+      }
+    }
+  }
+
+  function openTag(name, attributes, selfClosing) {
+    if (CLOSES_P.has(name)) {
+      for (let i = stack.length - 1; i > 0; i--) {
+        const tag = stack[i].tagName;
+        if (tag === "p") {
+          stack.length = i;
+          break;
+        }
+        if (CLOSES_P.has(tag) || tag === "li" || tag === "td" || tag === "th") break;
+      }
+    }
+    const implied = IMPLIED_END[name];
+    if (implied) {
+      // Close the outermost matching element inside the nearest container
+      let cut = -1;
+      for (let i = stack.length - 1; i > 0; i--) {
+        const tag = stack[i].tagName;
+        if (implied.scope.includes(tag)) break;
+        if (implied.closes.includes(tag)) cut = i;
+      }
+      if (cut !== -1) stack.length = cut;
+    }
+    const element = new ElementNode(name, attributes);
+    current().append(element);
+    if (!VOID_TAGS.has(name) && !selfClosing) stack.push(element);
+    return element;
+  }
+
+  let pos = 0;
+  let text = "";
+  const flushText = () => {
+    if (text) current().append(new TextNode(decodeEntities(text)));
+    text = "";
+  };
+
+  while (pos < html.length) {
+    const lt = html.indexOf("<", pos);
+    if (lt === -1) {
+      text += html.slice(pos);
+      break;
+    }
+    text += html.slice(pos, lt);
+    pos = lt;
+
+    if (html.startsWith("<!--", pos)) {
+      flushText();
+      const end = html.indexOf("-->", pos + 4);
+      const stop = end === -1 ? html.length : end;
+      current().append(new CommentNode(html.slice(pos + 4, stop)));
+      pos = end === -1 ? html.length : end + 3;
+      continue;
+    }
+    if (html.startsWith("<!", pos) || html.startsWith("<?", pos)) {
+      flushText();
+      const end = html.indexOf(">", pos);
+      pos = end === -1 ? html.length : end + 1;
+      continue;
+    }
+
+    TAG_REGEX.lastIndex = pos;
+    const tagMatch = TAG_REGEX.exec(html);
+    if (!tagMatch) {
+      text += "<";
+      pos += 1;
+      continue;
+    }
+    flushText();
+    pos += tagMatch[0].length;
+    const name = tagMatch[2].toLowerCase();
+
+    if (tagMatch[1]) {
+      closeTag(name);
+      continue;
+    }
+
+    const attrSource = tagMatch[3];
+    const selfClosing = /\/\s*$/.test(attrSource);
+    const element = openTag(name, parseAttributes(attrSource.replace(/\/\s*$/, "")), selfClosing);
+
+    if (RAW_TEXT_TAGS.has(name) && !selfClosing) {
+      const closeRegex = new RegExp(`</${name}\\s*>`, "gi");
+      closeRegex.lastIndex = pos;
+      const close = closeRegex.exec(html);
+      const raw = html.slice(pos, close ? close.index : html.length);
+      if (raw) {
+        element.append(name === "script" || name === "style"
+          ? new TextNode(raw, true)
+          : new TextNode(decodeEntities(raw)));
+      }
+      pos = close ? close.index + close[0].length : html.length;
+      closeTag(name);
+    }
+  }
+  flushText();
+
+  // Like the app's parser, fragments (e.g. ajax responses) end up in <body>
+  if (!root.elementChildren.some((el) => el.tagName === "html")) {
+    const htmlEl = new ElementNode("html");
+    const body = new ElementNode("body");
+    htmlEl.append(new ElementNode("head"));
+    htmlEl.append(body);
+    root.childNodes.forEach((node) => body.append(node));
+    root.childNodes = [];
+    root.append(htmlEl);
+  }
+
+  return root;
+}
+
+/* ----------------- Serialisation / text ----------------- */
+
+function serialize(node) {
+  if (node.type === "text") return node.raw ? node.data : escapeText(node.data);
+  if (node.type === "comment") return `<!--${node.data}-->`;
+  const inner = node.childNodes.map(serialize).join("");
+  if (node.tagName === "#document") return inner;
+  const attrs = Object.entries(node.attributes)
+    .map(([name, value]) => ` ${name}="${escapeAttr(value)}"`)
+    .join("");
+  if (VOID_TAGS.has(node.tagName)) return `<${node.tagName}${attrs}>`;
+  return `<${node.tagName}${attrs}>${inner}</${node.tagName}>`;
+}
+
+function textContent(node) {
+  if (node.type === "text") return node.data;
+  if (node.type === "comment") return "";
+  return node.childNodes.map(textContent).join("");
+}
+
+function descendants(node, out = []) {
+  for (const child of node.childNodes) {
+    if (child.type !== "element") continue;
+    out.push(child);
+    descendants(child, out);
+  }
+  return out;
+}
+
+/* ----------------- Selectors ----------------- */
+
+function splitTopLevel(source, separator) {
+  const parts = [];
+  let depth = 0;
+  let quote = null;
+  let start = 0;
+  for (let i = 0; i < source.length; i++) {
+    const ch = source[i];
+    if (quote) {
+      if (ch === quote) quote = null;
+    } else if (ch === '"' || ch === "'") {
+      quote = ch;
+    } else if (ch === "(" || ch === "[") {
+      depth++;
+    } else if (ch === ")" || ch === "]") {
+      depth--;
+    } else if (ch === separator && depth === 0) {
+      parts.push(source.slice(start, i));
+      start = i + 1;
+    }
+  }
+  parts.push(source.slice(start));
+  return parts.map((part) => part.trim()).filter((part) => part);
+}
+
+const compiledCache = new Map();
+
+/**
+ * Compile a selector list into [[{ combinator, compound }]] where each inner
+ * array is one complex selector read left to right.
+ */
+function compileSelector(selector) {
+  if (compiledCache.has(selector)) return compiledCache.get(selector);
+  const groups = splitTopLevel(selector, ",").map(compileComplex);
+  if (!groups.length) throw new Error(`Invalid selector: "${selector}"`);
+  compiledCache.set(selector, groups);
+  return groups;
+}
+
+function compileComplex(source) {
+  const steps = [];
+  let combinator = " ";
+  let i = 0;
+  while (i < source.length) {
+    const ch = source[i];
+    if (/\s/.test(ch)) {
+      i++;
+      continue;
+    }
+    if (ch === ">" || ch === "+" || ch === "~") {
+      combinator = ch;
+      i++;
+      continue;
+    }
+    let end = i;
+    let depth = 0;
+    let quote = null;
+    while (end < source.length) {
+      const c = source[end];
+      if (quote) {
+        if (c === quote) quote = null;
+      } else if (c === '"' || c === "'") {
+        quote = c;
+      } else if (c === "(" || c === "[") {
+        depth++;
+      } else if (c === ")" || c === "]") {
+        depth--;
+      } else if (depth === 0 && (/\s/.test(c) || c === ">" || c === "+" || c === "~")) {
+        break;
+      }
+      end++;
+    }
+    steps.push({ combinator: steps.length ? combinator : null, compound: compileCompound(source.slice(i, end), source) });
+    combinator = " ";
+    i = end;
+  }
+  if (!steps.length) throw new Error(`Invalid selector: "${source}"`);
+  return steps;
+}
+
+function compileCompound(source, full) {
+  const tests = [];
+  const regex = /^(\*|[a-zA-Z][a-zA-Z0-9-]*)|^#([\w-]+)|^\.([\w-]+)|^\[\s*([\w:-]+)\s*(?:([~|^$*]?=)\s*(?:"([^"]*)"|'([^']*)'|([^\]\s]+))\s*(i)?\s*)?\]|^:([\w-]+)(?:\(((?:[^()]|\([^()]*\))*)\))?/;
+  let rest = source;
+  while (rest) {
+    const m = regex.exec(rest);
+    if (!m) throw new Error(`Unsupported selector: "${full}"`);
+    rest = rest.slice(m[0].length);
+    if (m[1]) {
+      const tag = m[1].toLowerCase();
+      if (tag !== "*") tests.push((el) => el.tagName === tag);
+    } else if (m[2]) {
+      tests.push((el) => el.attributes.id === m[2]);
+    } else if (m[3]) {
+      tests.push((el) => (el.attributes.class ?? "").split(/\s+/).includes(m[3]));
+    } else if (m[4]) {
+      tests.push(attributeTest(m[4].toLowerCase(), m[5], m[6] ?? m[7] ?? m[8], !!m[9]));
+    } else if (m[10]) {
+      tests.push(pseudoTest(m[10].toLowerCase(), m[11], full));
+    }
+  }
+  return (el) => tests.every((test) => test(el));
+}
+
+function attributeTest(name, op, value, insensitive) {
+  return (el) => {
+    let actual = el.attributes[name];
+    if (actual === undefined) return false;
+    if (!op) return true;
+    let expected = value;
+    if (insensitive) {
+      actual = actual.toLowerCase();
+      expected = expected.toLowerCase();
+    }
+    switch (op) {
+      case "=": return actual === expected;
+      case "~=": return actual.split(/\s+/).includes(expected);
+      case "|=": return actual === expected || actual.startsWith(expected + "-");
+      case "^=": return expected !== "" && actual.startsWith(expected);
+      case "$=": return expected !== "" && actual.endsWith(expected);
+      case "*=": return expected !== "" && actual.includes(expected);
+    }
+    return false;
+  };
+}
+
+function nthMatcher(arg, full) {
+  const value = arg.replace(/\s+/g, "").toLowerCase();
+  if (value === "odd") return (n) => n % 2 === 1;
+  if (value === "even") return (n) => n % 2 === 0;
+  const m = /^([+-]?\d*)n([+-]\d+)?$|^([+-]?\d+)$/.exec(value);
+  if (!m) throw new Error(`Unsupported selector: "${full}"`);
+  if (m[3] !== undefined) return (n) => n === parseInt(m[3]);
+  const a = m[1] === "" || m[1] === "+" ? 1 : m[1] === "-" ? -1 : parseInt(m[1]);
+  const b = m[2] ? parseInt(m[2]) : 0;
+  return (n) => (a === 0 ? n === b : (n - b) / a >= 0 && (n - b) % a === 0);
+}
+
+function siblings(el) {
+  return el.parentNode ? el.parentNode.elementChildren : [el];
+}
+
+function pseudoTest(name, arg, full) {
+  switch (name) {
+    case "first-child": return (el) => siblings(el)[0] === el;
+    case "last-child": return (el) => siblings(el).slice(-1)[0] === el;
+    case "only-child": return (el) => siblings(el).length === 1;
+    case "first-of-type": return (el) => siblings(el).find((s) => s.tagName === el.tagName) === el;
+    case "last-of-type": return (el) => siblings(el).filter((s) => s.tagName === el.tagName).slice(-1)[0] === el;
+    case "empty": return (el) => el.childNodes.every((n) => n.type === "comment");
+    case "nth-child": {
+      const matches = nthMatcher(arg ?? "", full);
+      return (el) => matches(siblings(el).indexOf(el) + 1);
+    }
+    case "not": {
+      const groups = compileSelector(arg ?? "");
+      return (el) => !groups.some((steps) => matchComplex(el, steps, steps.length - 1));
+    }
+  }
+  throw new Error(`Unsupported selector: "${full}"`);
+}
+
+function matchComplex(el, steps, index) {
+  if (!steps[index].compound(el)) return false;
+  if (index === 0) return true;
+  const combinator = steps[index].combinator;
+  if (combinator === ">") {
+    const parent = el.parentNode;
+    return !!parent && parent.tagName !== "#document" && matchComplex(parent, steps, index - 1);
+  }
+  if (combinator === " ") {
+    for (let p = el.parentNode; p && p.tagName !== "#document"; p = p.parentNode) {
+      if (matchComplex(p, steps, index - 1)) return true;
+    }
+    return false;
+  }
+  const before = siblings(el).slice(0, siblings(el).indexOf(el));
+  if (combinator === "+") {
+    const prev = before.slice(-1)[0];
+    return !!prev && matchComplex(prev, steps, index - 1);
+  }
+  return before.some((prev) => matchComplex(prev, steps, index - 1));
+}
+
+function querySelectorAll(node, selector) {
+  const groups = compileSelector(selector);
+  return descendants(node).filter((el) => groups.some((steps) => matchComplex(el, steps, steps.length - 1)));
+}
+
+/* ----------------- Public API ----------------- */
+
+// Optional callback (selector, matchCount) used by the health report
+let selectorTrace = null;
+
+function traceSelectors(callback) {
+  selectorTrace = callback;
+}
+
+function runSelector(node, selector) {
+  const found = querySelectorAll(node, selector);
+  if (selectorTrace) selectorTrace(selector, found.length);
+  return found;
+}
+
+const wrappers = new WeakMap();
+
+function wrap(node) {
+  if (!node) return null;
+  if (!wrappers.has(node)) wrappers.set(node, new Element(node));
+  return wrappers.get(node);
+}
+
+/**
+ * Element as seen by extensions: `text`, `attr()`, `select()`, `getHref`, ...
+ */
+class Element {
+  constructor(node) {
+    this._node = node;
+  }
+
+  get text() {
+    return textContent(this._node);
+  }
+
+  get outerHtml() {
+    return serialize(this._node);
+  }
+
+  get innerHtml() {
+    return this._node.childNodes.map(serialize).join("");
+  }
+
+  get className() {
+    return this._node.attributes.class ?? "";
+  }
+
+  get id() {
+    return this._node.attributes.id ?? "";
+  }
+
+  get localName() {
+    return this._node.tagName;
+  }
+
+  get getHref() {
+    return this.attr("href");
+  }
+
+  get getSrc() {
+    return this.attr("src");
+  }
+
+  get getDataSrc() {
+    return this.attr("data-src");
+  }
+
+  get children() {
+    return this._node.elementChildren.map(wrap);
+  }
+
+  get parent() {
+    const parent = this._node.parentNode;
+    return parent && parent.tagName !== "#document" ? wrap(parent) : null;
+  }
+
+  get nextElementSibling() {
+    const list = siblings(this._node);
+    return wrap(list[list.indexOf(this._node) + 1]);
+  }
+
+  get previousElementSibling() {
+    const list = siblings(this._node);
+    return wrap(list[list.indexOf(this._node) - 1]);
+  }
+
+  attr(name) {
+    return this._node.attributes[name.toLowerCase()] ?? null;
+  }
+
+  hasAttr(name) {
+    return name.toLowerCase() in this._node.attributes;
+  }
+
+  select(selector) {
+    return runSelector(this._node, selector).map(wrap);
+  }
+
+  selectFirst(selector) {
+    return wrap(runSelector(this._node, selector)[0]);
+  }
+
+  getElementsByClassName(name) {
+    return this.select(`.${name}`);
+  }
+
+  getElementsByTagName(name) {
+    return this.select(name);
+  }
+
+  getElementById(id) {
+    return wrap(descendants(this._node).find((el) => el.attributes.id === id));
+  }
+}
+
+/**
+ * `new Document(html)` as provided by the app.
+ */
+class Document extends Element {
+  constructor(html) {
+    super(parseHtml(html ?? ""));
+  }
+
+  get html() {
+    return this.outerHtml;
+  }
+
+  get documentElement() {
+    return this.selectFirst("html");
+  }
+
+  get head() {
+    return this.selectFirst("head");
+  }
+
+  get body() {
+    return this.selectFirst("body");
+  }
+}
+
+module.exports = { Document, Element, parseHtml, decodeEntities, traceSelectors };
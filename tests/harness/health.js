@@ -0,0 +1,176 @@
+#!/usr/bin/env node
+/**
+ * health.js
+ * Selector health report. Runs the entry points listed under "calls" in each
+ * tests/fixtures/<name>/fixtures.json against the stored pages and prints,
+ * per call, every selector the source tried with its match count, how many
+ * items came back and which fields were empty. Sources in javascript/ with
+ * no fixtures are listed so they can get some.
+ *
+ *   node tests/harness/health.js              # every fixture set
+ *   node tests/harness/health.js novelbuddy   # only these
+ *
+ * Exits with 1 when a call throws or returns nothing.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { loadFixtureSource } = require("./runtime");
+const { traceSelectors } = require("./dom");
+
+const ROOT = path.resolve(__dirname, "..", "..");
+const FIXTURES = path.join(ROOT, "tests", "fixtures");
+const LIST_METHODS = ["getPopular", "getLatestUpdates", "search"];
+
+function isEmpty(value) {
+  return value === null || value === undefined || value === "" || (Array.isArray(value) && !value.length);
+}
+
+function countEmpty(items, fields) {
+  const empty = {};
+  for (const field of fields) {
+    const count = items.filter((item) => isEmpty(item[field])).length;
+    if (count) empty[field] = count;
+  }
+  return empty;
+}
+
+/**
+ * Sum up one call result: item count, empty fields and blocking problems.
+ */
+function summarize(method, result) {
+  if (LIST_METHODS.includes(method)) {
+    const list = result?.list ?? [];
+    return {
+      count: list.length,
+      empty: countEmpty(list, ["name", "link", "imageUrl"]),
+      problems: list.length ? [] : ["no items"],
+    };
+  }
+  if (method === "getDetail") {
+    const chapters = result?.chapters ?? [];
+    const empty = countEmpty([result ?? {}], ["name", "imageUrl", "description", "author", "genre"]);
+    if (result?.status === 5) empty.status = "unknown";
+    const chapterEmpty = countEmpty(chapters, ["name", "url", "dateUpload"]);
+    for (const [field, count] of Object.entries(chapterEmpty)) empty[`chapters.${field}`] = count;
+    const problems = [];
+    if (isEmpty(result?.name)) problems.push("no name");
+    if (!chapters.length) problems.push("no chapters");
+    return { count: chapters.length, empty, problems };
+  }
+  if (method === "getHtmlContent") {
+    const text = (result ?? "").replace(/<[^>]+>/g, "").trim();
+    return { count: text.length, empty: {}, problems: text ? [] : ["empty content"] };
+  }
+  return { count: Array.isArray(result) ? result.length : 1, empty: {}, problems: [] };
+}
+
+async function runCall(extension, [method, ...args]) {
+  const selectors = new Map();
+  traceSelectors((selector, hits) => {
+    const entry = selectors.get(selector) ?? { selector, runs: 0, hits: 0 };
+    entry.runs++;
+    entry.hits += hits;
+    selectors.set(selector, entry);
+  });
+
+  const call = { method, args, selectors: [], summary: null, error: null };
+  try {
+    if (method === "search" && args.length < 3) args = [...args, extension.getFilterList()];
+    const result = await extension[method](...args);
+    call.summary = summarize(method, result);
+  } catch (e) {
+    call.error = e.message;
+  } finally {
+    traceSelectors(null);
+  }
+  call.selectors = [...selectors.values()];
+  return call;
+}
+
+async function checkFixture(name) {
+  const config = JSON.parse(fs.readFileSync(path.join(FIXTURES, name, "fixtures.json"), "utf8"));
+  const report = { name, source: config.source, calls: [] };
+  for (const call of config.calls ?? []) {
+    // A fresh instance per call so one failure cannot leak state into the next
+    const { extension } = loadFixtureSource(name);
+    report.calls.push(await runCall(extension, call));
+  }
+  return report;
+}
+
+function fixtureNames() {
+  return fs
+    .readdirSync(FIXTURES)
+    .filter((name) => fs.existsSync(path.join(FIXTURES, name, "fixtures.json")))
+    .sort();
+}
+
+/**
+ * pkgPath of every source file under javascript/ (example templates included).
+ */
+function sourceFiles(dir = path.join(ROOT, "javascript")) {
+  const out = [];
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    const full = path.join(dir, entry.name);
+    if (entry.isDirectory()) out.push(...sourceFiles(full));
+    else if (entry.name.endsWith(".js") && /const\s+mangayomiSources\s*=/.test(fs.readFileSync(full, "utf8"))) {
+      out.push(path.relative(path.join(ROOT, "javascript"), full).split(path.sep).join("/"));
+    }
+  }
+  return out.sort();
+}
+
+function hasProblems(report) {
+  return report.calls.some((call) => call.error || call.summary.problems.length);
+}
+
+function printReport(report) {
+  console.log(`\n${report.name} (${report.source})`);
+  for (const call of report.calls) {
+    const label = `${call.method}(${call.args.map((arg) => JSON.stringify(arg)).join(", ")})`;
+    if (call.error) {
+      console.log(`  ✗ ${label} threw: ${call.error}`);
+    } else {
+      const { count, empty, problems } = call.summary;
+      const mark = problems.length ? "✗" : "✓";
+      const unit = call.method === "getHtmlContent" ? "chars" : call.method === "getDetail" ? "chapters" : "items";
+      console.log(`  ${mark} ${label}: ${count} ${unit}${problems.length ? ` (${problems.join(", ")})` : ""}`);
+      const emptyFields = Object.entries(empty).map(([field, count]) => `${field}=${count}`);
+      if (emptyFields.length) console.log(`      empty fields: ${emptyFields.join(", ")}`);
+    }
+    const matched = call.selectors.filter((entry) => entry.hits).length;
+    console.log(`      selectors: ${matched}/${call.selectors.length} matched`);
+    for (const entry of call.selectors) {
+      console.log(`        ${entry.hits ? "✓" : "·"} ${String(entry.hits).padStart(4)}  ${entry.selector}`);
+    }
+  }
+}
+
+async function main() {
+  const requested = process.argv.slice(2);
+  const names = requested.length ? requested : fixtureNames();
+
+  const reports = [];
+  for (const name of names) reports.push(await checkFixture(name));
+  reports.forEach(printReport);
+
+  if (!requested.length) {
+    const covered = new Set(reports.map((report) => report.source));
+    const missing = sourceFiles().filter((file) => !covered.has(file));
+    if (missing.length) console.log(`\nno fixtures: ${missing.join(", ")}`);
+  }
+
+  const failing = reports.filter(hasProblems).map((report) => report.name);
+  console.log(failing.length ? `\nproblems in: ${failing.join(", ")}` : "\nall calls returned data");
+  if (failing.length) process.exitCode = 1;
+}
+
+if (require.main === module) {
+  main().catch((e) => {
+    console.error(e.stack || e.message);
+    process.exit(1);
+  });
+}
+
+module.exports = { checkFixture, fixtureNames, hasProblems, sourceFiles, summarize };
@@ -0,0 +1,53 @@
+#!/usr/bin/env node
+/**
+ * run.js
+ * Runs one extension call against the saved pages of a fixture set and
+ * prints the result as JSON.
+ *
+ *   node tests/harness/run.js <fixture> <method> [args...]
+ *
+ *   node tests/harness/run.js novelbuddy getPopular 1
+ *   node tests/harness/run.js novelbuddy search "" 1
+ *   node tests/harness/run.js novelbuddy getDetail /novel/shadow-slave
+ *   node tests/harness/run.js novelbuddy getHtmlContent "Chapter 3" /novel/shadow-slave/chapter-3
+ *
+ * Numeric and JSON arguments are parsed; `search` gets the default
+ * getFilterList() state when no filters are passed.
+ */
+
+const { loadFixtureSource } = require("./runtime");
+
+function parseArg(arg) {
+  try {
+    return JSON.parse(arg);
+  } catch (e) {
+    return arg;
+  }
+}
+
+async function main() {
+  const [name, method, ...rest] = process.argv.slice(2);
+  if (!name || !method) {
+    console.error("usage: node tests/harness/run.js <fixture> <method> [args...]");
+    process.exit(2);
+  }
+
+  const { extension, client } = loadFixtureSource(name);
+  if (typeof extension[method] !== "function") {
+    throw new Error(`${name} has no method ${method}`);
+  }
+  const args = rest.map(parseArg);
+  if (method === "search" && args.length < 3) {
+    while (args.length < 2) args.push(args.length === 0 ? "" : 1);
+    args.push(extension.getFilterList());
+  }
+
+  const result = await extension[method](...args);
+  console.log(typeof result === "string" ? result : JSON.stringify(result, null, 2));
+  console.error(`\n${client.requests.length} request(s): ${client.requests.map((r) => `${r.method} ${r.url}`).join(", ")}`);
+}
+
+main().catch((e) => {
+  console.error(e.stack || e.message);
+  process.exit(1);
+});
@@ -0,0 +1,211 @@
+/**
+ * runtime.js
+ * Loads an extension file the way the app does and runs it against saved
+ * pages. The script is evaluated in its own context that only has the
+ * runtime globals (`MProvider`, `Client`, `Document`, `SharedPreferences`,
+ * `console`) plus the JavaScript built-ins, so Node-only APIs such as
+ * `URL` or `require` are unavailable, as in the app.
+ *
+ * The app has no timers either. Sources that pause (retries, rate limits)
+ * use `setTimeout` when it exists, so the context gets one that fires at
+ * once and records the requested delay in `timers`; tests stay fast and can
+ * assert on the waits. Pass `timers: false` to load a source without it, as
+ * the app does.
+ *
+ * Fixtures live in tests/fixtures/<name>/fixtures.json:
+ *   {
+ *     "source": "novel/src/en/novelbuddy.js",   // relative to javascript/
+ *     "routes": [
+ *       { "url": "https://...", "file": "popular.html" },
+ *       { "method": "POST", "url": "https://...", "file": "search.html" },
+ *       { "urlPattern": "^https://.../chapter-\\d+$", "file": "chapter.html", "status": 200 },
+ *       { "url": "https://...", "responses": [{ "status": 429, "headers": { "Retry-After": "2" } }, { "file": "page.html" }] }
+ *     ],
+ *     "calls": [["getPopular", 1], ["getDetail", "/novel/x"]]   // used by health.js
+ *   }
+ */
+
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+const { Document } = require("./dom");
+
+const ROOT = path.resolve(__dirname, "..", "..");
+const FIXTURES = path.join(ROOT, "tests", "fixtures");
+
+class MProvider {}
+
+/**
+ * Client stand-in answering from a route table. Every call is recorded in
+ * `requests`; an unknown url throws like a failed connection would.
+ */
+class FixtureClient {
+  constructor(routes = [], baseDir = FIXTURES) {
+    this.routes = routes;
+    this.baseDir = baseDir;
+    this.requests = [];
+  }
+
+  findRoute(method, url) {
+    const candidates = this.routes.filter((route) => (route.method ?? "GET").toUpperCase() === method);
+    return (
+      candidates.find((route) => route.url === url) ??
+      candidates.find((route) => route.urlPattern && new RegExp(route.urlPattern).test(url))
+    );
+  }
+
+  respond(method, url, headers, body) {
+    this.requests.push({ method, url, headers: headers ?? {}, body });
+    const route = this.findRoute(method, url);
+    if (!route) throw new Error(`No fixture for ${method} ${url}`);
+    // `responses` answers successive requests in turn, repeating the last one
+    let response = route;
+    if (route.responses) {
+      route.served = (route.served ?? 0) + 1;
+      response = route.responses[Math.min(route.served, route.responses.length) - 1];
+    }
+    if (response.error) throw new Error(response.error);
+    const responseBody = response.file
+      ? fs.readFileSync(path.join(this.baseDir, response.file), "utf8")
+      : response.body ?? "";
+    return {
+      body: responseBody,
+      statusCode: response.status ?? 200,
+      headers: response.headers ?? {},
+      request: { url, headers: headers ?? {} },
+    };
+  }
+
+  async get(url, headers) {
+    return this.respond("GET", url, headers);
+  }
+
+  async post(url, headers, body) {
+    return this.respond("POST", url, headers, body);
+  }
+}
+
+/**
+ * SharedPreferences stand-in. `get` falls back to the defaults declared in
+ * getSourcePreferences(), which the app stores when the source is installed.
+ */
+function createPreferences(values = {}) {
+  const store = { ...values };
+  const defaults = {};
+  return {
+    store,
+    defaults,
+    SharedPreferences: class SharedPreferences {
+      get(key) {
+        return key in store ? store[key] : defaults[key] ?? null;
+      }
+
+      getString(key, defaultValue) {
+        return key in store ? store[key] : defaultValue;
+      }
+
+      setString(key, value) {
+        store[key] = value;
+      }
+    },
+  };
+}
+
+function preferenceDefaults(preferences) {
+  const defaults = {};
+  for (const pref of preferences ?? []) {
+    if (pref.editTextPreference) defaults[pref.key] = pref.editTextPreference.value;
+    else if (pref.listPreference) {
+      const list = pref.listPreference;
+      defaults[pref.key] = list.entryValues[list.valueIndex ?? 0];
+    } else if (pref.switchPreferenceCompat) defaults[pref.key] = pref.switchPreferenceCompat.value;
+    else if (pref.checkBoxPreference) defaults[pref.key] = pref.checkBoxPreference.value;
+    else if (pref.multiSelectListPreference) defaults[pref.key] = pref.multiSelectListPreference.values;
+  }
+  return defaults;
+}
+
+/**
+ * Values created inside the sandbox have the sandbox's Object/Array
+ * prototypes; copy them into this realm so assert.deepStrictEqual works.
+ */
+function toHost(value) {
+  if (value && typeof value.then === "function") return Promise.resolve(value).then(toHost);
+  return value === undefined ? value : structuredClone(value);
+}
+
+function hostProxy(extension) {
+  return new Proxy(extension, {
+    get(target, property) {
+      const value = target[property];
+      if (typeof value !== "function") return value;
+      return (...args) => toHost(value.apply(target, args));
+    },
+  });
+}
+
+/**
+ * loadSource(file, { routes, baseDir, preferences, timers })
+ * Evaluates an extension file and returns
+ * { extension, source, sources, client, preferences, timers }. Calls made through
+ * `extension` return plain copies of the results.
+ */
+function loadSource(file, { routes = [], baseDir = FIXTURES, preferences = {}, timers: withTimers = true } = {}) {
+  const filename = path.isAbsolute(file) ? file : path.join(ROOT, "javascript", file);
+  const code = fs.readFileSync(filename, "utf8");
+  const client = new FixtureClient(routes, baseDir);
+  const prefs = createPreferences(preferences);
+  const timers = [];
+
+  const globals = {
+    MProvider,
+    Client: function Client() {
+      return client;
+    },
+    Document,
+    SharedPreferences: prefs.SharedPreferences,
+    console,
+  };
+  if (withTimers) {
+    globals.setTimeout = (callback, ms = 0) => {
+      timers.push(ms);
+      setImmediate(callback);
+    };
+  }
+  const context = vm.createContext(globals);
+  const { mangayomiSources, DefaultExtension } = vm.runInContext(
+    `${code}\n;({ mangayomiSources, DefaultExtension });`,
+    context,
+    { filename }
+  );
+
+  const extension = new DefaultExtension();
+  extension.source = { ...mangayomiSources[0] };
+  Object.assign(prefs.defaults, preferenceDefaults(extension.getSourcePreferences()));
+
+  return {
+    extension: hostProxy(extension),
+    source: extension.source,
+    sources: toHost(mangayomiSources),
+    client,
+    preferences: prefs.store,
+    timers,
+  };
+}
+
+/**
+ * loadFixtureSource(name, options)
+ * loadSource() wired to tests/fixtures/<name>/fixtures.json.
+ */
+function loadFixtureSource(name, options = {}) {
+  const baseDir = path.join(FIXTURES, name);
+  const config = JSON.parse(fs.readFileSync(path.join(baseDir, "fixtures.json"), "utf8"));
+  return loadSource(config.source, {
+    routes: [...(options.routes ?? []), ...config.routes],
+    baseDir,
+    preferences: options.preferences,
+    timers: options.timers,
+  });
+}
+
+module.exports = { FixtureClient, MProvider, loadSource, loadFixtureSource, preferenceDefaults };
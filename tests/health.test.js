@@ -0,0 +1,36 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { checkFixture, fixtureNames, hasProblems, sourceFiles, summarize } = require("./harness/health");
+
+test("every fixture set passes the selector health report", async () => {
+  for (const name of fixtureNames()) {
+    const report = await checkFixture(name);
+    assert.ok(report.calls.length, `${name} lists no calls`);
+    assert.equal(hasProblems(report), false, `${name}: ${JSON.stringify(report.calls.filter((c) => c.error || c.summary.problems.length))}`);
+  }
+});
+
+test("summarize flags empty results and fields", () => {
+  assert.deepEqual(summarize("getPopular", { list: [], hasNextPage: false }).problems, ["no items"]);
+  assert.deepEqual(
+    summarize("search", { list: [{ name: "A", link: "/a", imageUrl: "" }] }).empty,
+    { imageUrl: 1 }
+  );
+  const detail = summarize("getDetail", { name: "A", status: 5, genre: [], chapters: [{ name: "1", url: "/1", dateUpload: null }] });
+  assert.deepEqual(detail.empty, {
+    imageUrl: 1,
+    description: 1,
+    author: 1,
+    genre: 1,
+    status: "unknown",
+    "chapters.dateUpload": 1,
+  });
+  assert.deepEqual(summarize("getHtmlContent", "<p> </p>").problems, ["empty content"]);
+});
+
+test("sourceFiles finds every extension under javascript/", () => {
+  const files = sourceFiles();
+  assert.ok(files.includes("novel/src/en/novelbuddy.js"));
+  assert.ok(files.includes("novel/src/en/allnovel.js"));
+  assert.ok(files.includes("novel/src/en/wuxiabox.js"));
+});
@@ -0,0 +1,545 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadFixtureSource } = require("./harness/runtime");
+
+test("getPopular lists books with resolved covers and pagination", async () => {
+  const { extension, client } = loadFixtureSource("novelbuddy");
+  const { list, hasNextPage } = await extension.getPopular(1);
+
+  assert.equal(client.requests[0].url, "https://novelbuddy.com/search?q=&status=all&sort=views&page=1");
+  assert.equal(list.length, 3);
+  assert.deepEqual(list[0], {
+    name: "Shadow Slave",
+    link: "/novel/shadow-slave",
+    imageUrl: "https://static.novelbuddy.com/images/shadow-slave.jpg",
+  });
+  assert.equal(list[1].imageUrl, "https://static.novelbuddy.com/images/lord-of-the-mysteries.jpg");
+  assert.equal(list[2].imageUrl, "https://novelbuddy.com/static/images/no-cover.png");
+  assert.equal(hasNextPage, true);
+});
+
+test("getLatestUpdates and search build the search url from filters", async () => {
+  const { extension, client } = loadFixtureSource("novelbuddy");
+  await extension.getLatestUpdates(2);
+
+  const filters = extension.getFilterList();
+  filters[0].state.find((item) => item.value === "fantasy").state = true;
+  filters[1].state = 2;
+  filters[2].state = 4;
+  await extension.search("slave", 1, filters);
+
+  assert.equal(client.requests[0].url, "https://novelbuddy.com/search?q=&status=all&sort=updated_at&page=2");
+  assert.equal(
+    client.requests[1].url,
+    "https://novelbuddy.com/search?q=slave&genre[]=fantasy&status=completed&sort=rating&page=1"
+  );
+});
+
+test("genres are read from the site, tidied and cached for the filters", async () => {
+  const { extension, preferences } = loadFixtureSource("novelbuddy");
+  await extension.getPopular(1);
+
+  const genres = extension.getFilterList()[0].state.map((item) => [item.name, item.value]);
+  assert.deepEqual(genres, [
+    ["Action", "action"],
+    ["Anime & Comics", "anime-u0026-comics"],
+    ["Fan-Fiction", "fan-fiction"],
+    ["Fantasy", "fantasy"],
+    ["Slice of Life", "slice-of-life"],
+  ]);
+  assert.ok(Date.now() - JSON.parse(preferences.novelbuddy_genres).updated < 60000);
+});
+
+test("the genre cache is only refreshed once it expires", async () => {
+  const fresh = { updated: Date.now() - 60 * 60 * 1000, genres: [["Wuxia", "wuxia"]] };
+  const stale = { updated: Date.now() - 8 * 24 * 60 * 60 * 1000, genres: [["Wuxia", "wuxia"]] };
+
+  const cached = loadFixtureSource("novelbuddy", { preferences: { novelbuddy_genres: JSON.stringify(fresh) } });
+  await cached.extension.getPopular(1);
+  const expired = loadFixtureSource("novelbuddy", { preferences: { novelbuddy_genres: JSON.stringify(stale) } });
+  await expired.extension.getPopular(1);
+
+  assert.deepEqual(
+    cached.extension.getFilterList()[0].state.map((item) => item.name),
+    ["Wuxia"]
+  );
+  assert.equal(expired.extension.getFilterList()[0].state.length, 5);
+});
+
+test("genres come from the genre index when listings have no genre menu", async () => {
+  const listing = '<div class="book-item"><a href="/novel/shadow-slave" title="Shadow Slave"></a></div>';
+  const index = '<a href="/genres/action">Action</a> <a href="/genres/slice-of-life">Slice  of Life</a>';
+  const { extension, client } = loadFixtureSource("novelbuddy", {
+    routes: [
+      { url: "https://novelbuddy.com/search?q=&status=all&sort=views&page=1", body: listing },
+      { url: "https://novelbuddy.com/search?q=&status=all&sort=updated_at&page=1", body: listing },
+      { url: "https://novelbuddy.com/genres", body: index },
+    ],
+  });
+  await extension.getPopular(1);
+  await extension.getLatestUpdates(1);
+
+  assert.deepEqual(
+    extension.getFilterList()[0].state.map((item) => [item.name, item.value]),
+    [
+      ["Action", "action"],
+      ["Slice of Life", "slice-of-life"],
+    ]
+  );
+  assert.equal(client.requests.filter((request) => request.url.endsWith("/genres")).length, 1);
+});
+
+test("a genre index that fails is not asked again on every listing", async () => {
+  const listing = '<div class="book-item"><a href="/novel/shadow-slave" title="Shadow Slave"></a></div>';
+  const { extension, client, preferences } = loadFixtureSource("novelbuddy", {
+    routes: [
+      { urlPattern: "^https://novelbuddy\\.com/search\\?", body: listing },
+      { url: "https://novelbuddy.com/genres", status: 404, body: "Not found" },
+    ],
+  });
+  const { list } = await extension.getPopular(1);
+  await extension.getPopular(2);
+
+  assert.equal(list.length, 1);
+  assert.equal(client.requests.filter((request) => request.url.endsWith("/genres")).length, 1);
+  assert.ok(Date.now() - JSON.parse(preferences.novelbuddy_genres).checked < 60000);
+  assert.ok(extension.getFilterList()[0].state.some((item) => item.name === "Anime & Comics"));
+});
+
+test("without a cache the built-in genres are used, tidied", () => {
+  const { extension } = loadFixtureSource("novelbuddy", { preferences: { novelbuddy_genres: "not json" } });
+  const names = extension.getFilterList()[0].state.map((item) => item.name);
+
+  assert.ok(names.includes("Anime & Comics"));
+  assert.ok(names.includes("Book & Literature"));
+  assert.equal(names.filter((name) => /^fan-?fiction$/i.test(name)).length, 1);
+  assert.equal(names.filter((name) => /^slice of life$/i.test(name)).length, 1);
+  assert.ok(!names.some((name) => ["Adventcure", "dventure", "Haremv", "Romancem", "Fantas"].includes(name)));
+});
+
+test("search results, novel metadata and chapter api names decode escapes and mojibake", async () => {
+  const page = `<html><head><meta name="book-id" content="1428"></head><body>
+    <div class="detail"><h1>Tom u0026amp; Jerry\u200b&nbsp;Adventures</h1>
+      <div class="meta">
+        <p><strong>Authors :</strong> <a href="/authors/a">Mo&amp;amp;#8217;s Pen</a></p>
+        <p><strong>Genres :</strong> <a href="/genres/a">Anime \\u0026 Comics</a>, <a href="/genres/f">Fantasy</a></p>
+      </div>
+    </div>
+    <div class="section-body summary"><p>Itâ€™s a  storyÂ&nbsp;about \ufeffcats.</p></div>
+  </body></html>`;
+  const { extension } = loadFixtureSource("novelbuddy", {
+    routes: [
+      {
+        url: "https://novelbuddy.com/search?q=tom&status=all&sort=views&page=1",
+        body: '<div class="book-item"><a href="/novel/messy" title="Tom u0026amp; Jerry&nbsp;Adventures"></a></div>',
+      },
+      { url: "https://novelbuddy.com/novel/messy", body: page },
+      {
+        url: "https://novelbuddy.com/api/manga/1428/chapters?source=detail",
+        body: '<ul id="chapter-list"><li><a href="/novel/messy/chapter-1"><strong>Chapter 1 \\u2013 Catâ€™s Cradle</strong></a></li></ul>',
+      },
+    ],
+  });
+  const { list } = await extension.search("tom", 1, extension.getFilterList());
+  const detail = await extension.getDetail("/novel/messy");
+
+  assert.equal(list[0].name, "Tom & Jerry Adventures");
+  assert.equal(detail.name, "Tom & Jerry Adventures");
+  assert.equal(detail.author, "Mo’s Pen");
+  assert.deepEqual(detail.genre, ["Anime & Comics", "Fantasy"]);
+  assert.equal(detail.description, "It’s a story about cats.");
+  assert.equal(detail.chapters[0].name, "Chapter 1 – Cat’s Cradle");
+});
+
+test("a pasted novel or chapter link opens its novel", async () => {
+  const { extension, client } = loadFixtureSource("novelbuddy", {
+    routes: [
+      {
+        url: "https://novelbuddy.com/chapter/98765",
+        body: `<ol class="breadcrumb"><li><a href="/">Home</a></li><li><a href="https://novelbuddy.io/novel/shadow-slave/">Shadow Slave</a></li></ol>`,
+      },
+      {
+        url: "https://novelbuddy.com/read/98766",
+        body: `<script>var bookId = 1428; var bookSlug = "shadow-slave";</script>`,
+      },
+    ],
+  });
+  const expected = [
+    {
+      name: "Shadow Slave",
+      link: "/novel/shadow-slave",
+      imageUrl: "https://static.novelbuddy.com/images/shadow-slave.jpg",
+    },
+  ];
+
+  const novel = await extension.search("https://www.novelbuddy.io/novel/shadow-slave?utm_source=x", 1, []);
+  const chapter = await extension.search("https://novelbuddy.com/novel/shadow-slave/chapter-3", 1, []);
+  const crumb = await extension.search("https://novelbuddy.com/chapter/98765", 1, []);
+  const script = await extension.search("https://novelbuddy.me/read/98766", 1, []);
+  const next = await extension.search("https://novelbuddy.com/novel/shadow-slave", 2, []);
+
+  assert.deepEqual(novel, { list: expected, hasNextPage: false });
+  assert.deepEqual(chapter.list, expected);
+  assert.deepEqual(crumb.list, expected);
+  assert.deepEqual(script.list, expected);
+  assert.deepEqual(next, { list: [], hasNextPage: false });
+  assert.deepEqual(
+    client.requests.map((request) => request.url),
+    [
+      "https://novelbuddy.com/novel/shadow-slave",
+      "https://novelbuddy.com/novel/shadow-slave/chapter-3",
+      "https://novelbuddy.com/novel/shadow-slave",
+      "https://novelbuddy.com/chapter/98765",
+      "https://novelbuddy.com/novel/shadow-slave",
+      "https://novelbuddy.com/read/98766",
+      "https://novelbuddy.com/novel/shadow-slave",
+    ]
+  );
+});
+
+test("requests carry referer and user agent headers", async () => {
+  const { extension, client } = loadFixtureSource("novelbuddy");
+  await extension.getPopular(1);
+
+  assert.equal(client.requests[0].headers.Referer, "https://novelbuddy.com/");
+  assert.match(client.requests[0].headers["User-Agent"], /Mozilla/);
+});
+
+test("the referer is the site, also for covers on another host", () => {
+  const { extension } = loadFixtureSource("novelbuddy");
+
+  assert.equal(extension.getHeaders("https://novelbuddy.io/novel/shadow-slave").Referer, "https://novelbuddy.io/");
+  assert.equal(extension.getHeaders("https://static.novelbuddy.com/images/x.jpg").Referer, "https://novelbuddy.com/");
+  assert.equal(extension.getHeaders("https://cdn.example.org/cover.jpg").Referer, "https://novelbuddy.com/");
+});
+
+test("getDetail reads metadata and the chapter api", async () => {
+  const { extension, client } = loadFixtureSource("novelbuddy");
+  const detail = await extension.getDetail("/novel/shadow-slave");
+
+  assert.equal(client.requests[1].url, "https://novelbuddy.com/api/manga/1428/chapters?source=detail");
+  assert.equal(detail.name, "Shadow Slave");
+  assert.equal(detail.link, "https://novelbuddy.com/novel/shadow-slave");
+  assert.equal(detail.imageUrl, "https://static.novelbuddy.com/images/shadow-slave.jpg");
+  assert.equal(detail.author, "Guiltythree");
+  assert.equal(detail.status, 0);
+  assert.deepEqual(detail.genre, ["Action", "Adventure", "Fantasy"]);
+  assert.match(detail.description, /^Alternative names: Slave of Shadows; 影子奴隶\nRating: 4\.6\nViews: 12\.4M\n\n/);
+  assert.match(detail.description, /Growing up in poverty/);
+
+  assert.deepEqual(
+    detail.chapters.map((chapter) => chapter.url),
+    ["/novel/shadow-slave/chapter-3", "/novel/shadow-slave/chapter-2", "/novel/shadow-slave/chapter-1"]
+  );
+  assert.equal(detail.chapters[0].name, "Chapter 3 - Nightmare Begins");
+  const twoHoursAgo = Date.now() - 2 * 60 * 60 * 1000;
+  assert.ok(Math.abs(Number(detail.chapters[0].dateUpload) - twoHoursAgo) < 60 * 1000);
+  assert.equal(detail.chapters[1].dateUpload, `${new Date(2024, 2, 3).valueOf()}`);
+});
+
+test("optional parts may be missing, required ones are named in the error", async () => {
+  const { extension } = loadFixtureSource("novelbuddy", {
+    routes: [
+      {
+        url: "https://novelbuddy.com/search?q=&status=all&sort=views&page=1",
+        body: '<div class="book-item"><span>No link</span></div><div class="book-item"><a href="/novel/x"><h3 class="title">X</h3></a></div>',
+      },
+      { url: "https://novelbuddy.com/novel/minimal", file: "detail-minimal.html" },
+      { url: "https://novelbuddy.com/novel/broken", body: "<html><body><h1>Maintenance</h1></body></html>" },
+      { url: "https://novelbuddy.com/novel/no-id", body: '<div class="detail"><h1>No id</h1></div>' },
+      { url: "https://novelbuddy.com/novel/shadow-slave/chapter-9", body: "<html><body></body></html>" },
+    ],
+  });
+
+  assert.deepEqual(await extension.getPopular(1), {
+    list: [{ name: "X", link: "/novel/x", imageUrl: "" }],
+    hasNextPage: false,
+  });
+
+  const detail = await extension.getDetail("/novel/minimal");
+  assert.equal(detail.name, "Shadow Slave");
+  assert.equal(detail.description, "");
+  assert.equal(detail.status, 5);
+  assert.equal(detail.chapters.length, 3);
+
+  await assert.rejects(
+    extension.getDetail("/novel/broken"),
+    /Novel details not found on https:\/\/novelbuddy\.com\/novel\/broken \(no element matches "\.detail"\)/
+  );
+  await assert.rejects(extension.getDetail("/novel/no-id"), /Book id not found on https:\/\/novelbuddy\.com\/novel\/no-id/);
+  await assert.rejects(
+    extension.getHtmlContent("Chapter 9", "/novel/shadow-slave/chapter-9"),
+    /Chapter text not found on https:\/\/novelbuddy\.com\/novel\/shadow-slave\/chapter-9/
+  );
+});
+
+test("preferences switch mirror domain, sort and chapter order", async () => {
+  const { extension, client } = loadFixtureSource("novelbuddy", {
+    preferences: {
+      novelbuddy_domain_url: "novelbuddy.io/",
+      novelbuddy_default_sort: "rating",
+      novelbuddy_chapter_order: "oldest",
+    },
+    routes: [
+      { urlPattern: "^https://novelbuddy\\.io/search\\?", file: "search.html" },
+      { url: "https://novelbuddy.io/novel/shadow-slave", file: "detail.html" },
+      { url: "https://novelbuddy.io/api/manga/1428/chapters?source=detail", file: "chapters.html" },
+    ],
+  });
+  await extension.getPopular(1);
+  const detail = await extension.getDetail("https://novelbuddy.com/novel/shadow-slave");
+
+  assert.equal(client.requests[0].url, "https://novelbuddy.io/search?q=&status=all&sort=rating&page=1");
+  assert.equal(detail.link, "https://novelbuddy.io/novel/shadow-slave");
+  assert.equal(detail.chapters[0].url, "/novel/shadow-slave/chapter-1");
+});
+
+test("falls back to the next mirror and remembers it", async () => {
+  const { extension, client, preferences } = loadFixtureSource("novelbuddy", {
+    routes: [
+      { url: "https://novelbuddy.com/novel/shadow-slave", error: "Connection refused" },
+      { url: "https://novelbuddy.io/novel/shadow-slave", body: "<html><body>This domain is for sale!</body></html>" },
+      { url: "https://novelbuddy.me/novel/shadow-slave", file: "detail.html" },
+      { url: "https://novelbuddy.me/api/manga/1428/chapters?source=detail", file: "chapters.html" },
+    ],
+  });
+  const detail = await extension.getDetail("https://novelbuddy.com/novel/shadow-slave");
+
+  assert.deepEqual(
+    client.requests.map((request) => request.url),
+    [
+      "https://novelbuddy.com/novel/shadow-slave",
+      "https://novelbuddy.io/novel/shadow-slave",
+      "https://novelbuddy.me/novel/shadow-slave",
+      "https://novelbuddy.me/api/manga/1428/chapters?source=detail",
+    ]
+  );
+  assert.equal(client.requests[2].headers.Referer, "https://novelbuddy.me/");
+  assert.equal(preferences.novelbuddy_active_mirror, "https://novelbuddy.me");
+  assert.equal(detail.link, "https://novelbuddy.me/novel/shadow-slave");
+  assert.equal(detail.chapters.length, 3);
+});
+
+test("getDetail throws the last error when every mirror is down", async () => {
+  const { extension } = loadFixtureSource("novelbuddy", {
+    routes: [{ urlPattern: "^https://novelbuddy\\.(com|io|me)/novel/gone$", status: 502, body: "Bad gateway" }],
+  });
+
+  await assert.rejects(extension.getDetail("/novel/gone"), /novelbuddy\.me is unavailable \(HTTP 502\)/);
+});
+
+test("waits for Retry-After and paces requests to one host", async () => {
+  const { extension, client, timers } = loadFixtureSource("novelbuddy", {
+    routes: [
+      {
+        url: "https://novelbuddy.com/novel/shadow-slave/chapter-3",
+        responses: [{ status: 429, headers: { "retry-after": "2" } }, { file: "chapter.html" }],
+      },
+    ],
+  });
+  const html = await extension.getHtmlContent("Chapter 3", "/novel/shadow-slave/chapter-3");
+  await extension.getPopular(1);
+
+  assert.match(html, /Nightmare Begins/);
+  assert.equal(client.requests.length, 3);
+  assert.equal(timers.length, 2);
+  // Retry-After, then the next request half a second after the retry. The
+  // harness timers fire at once, so both delays count from the first request.
+  assert.ok(timers[0] > 1900 && timers[0] <= 2000);
+  assert.ok(timers[1] > 2400 && timers[1] <= 2500);
+});
+
+test("transient failures back off exponentially, client errors do not retry", async () => {
+  const { extension, client, timers } = loadFixtureSource("novelbuddy", {
+    routes: [
+      {
+        url: "https://novelbuddy.com/novel/shadow-slave/chapter-3",
+        responses: [{ error: "Connection timed out" }, { status: 503 }, { file: "chapter.html" }],
+      },
+      { url: "https://novelbuddy.com/novel/missing", status: 404, body: "Not found" },
+    ],
+  });
+  await extension.getHtmlContent("Chapter 3", "/novel/shadow-slave/chapter-3");
+
+  assert.equal(client.requests.length, 3);
+  assert.ok(timers[0] > 900 && timers[0] <= 1000);
+  assert.ok(timers[1] > 1900 && timers[1] <= 2000);
+  await assert.rejects(extension.getDetail("/novel/missing"), /HTTP 404 for https:\/\/novelbuddy\.com\/novel\/missing/);
+  assert.equal(client.requests.length, 4);
+});
+
+test("a long Retry-After is reported as rate limiting instead of waited for", async () => {
+  const { extension, client, timers } = loadFixtureSource("novelbuddy", {
+    routes: [{ url: "https://novelbuddy.com/novel/shadow-slave", status: 429, headers: { "retry-after": "120" } }],
+  });
+
+  await assert.rejects(extension.getDetail("/novel/shadow-slave"), /novelbuddy\.com is rate limiting requests \(HTTP 429\)/);
+  assert.equal(client.requests.length, 1);
+  assert.equal(timers.length, 0);
+});
+
+test("without timers, as in the app, a 429 is reported without a burst of retries", async () => {
+  const { extension, client, timers } = loadFixtureSource("novelbuddy", {
+    timers: false,
+    routes: [{ url: "https://novelbuddy.com/novel/shadow-slave", status: 429, headers: { "retry-after": "1" } }],
+  });
+
+  await assert.rejects(extension.getDetail("/novel/shadow-slave"), /novelbuddy\.com is rate limiting requests \(HTTP 429\)/);
+  assert.equal(client.requests.length, 1);
+  assert.equal(timers.length, 0);
+});
+
+test("a Cloudflare challenge asks for the WebView instead of failing over", async () => {
+  const { extension, client } = loadFixtureSource("novelbuddy", {
+    routes: [
+      {
+        url: "https://novelbuddy.com/novel/shadow-slave",
+        status: 403,
+        headers: { "cf-mitigated": "challenge" },
+        file: "challenge.html",
+      },
+      { urlPattern: "^https://novelbuddy\\.com/search\\?", status: 503, file: "challenge.html" },
+    ],
+  });
+
+  await assert.rejects(extension.getDetail("/novel/shadow-slave"), /novelbuddy\.com is showing a Cloudflare\/captcha check\. Open the source in WebView/);
+  await assert.rejects(extension.getPopular(1), /Open the source in WebView/);
+  assert.equal(client.requests.length, 2);
+});
+
+test("chapters from the api are put in order newest first", async () => {
+  const { extension } = loadFixtureSource("novelbuddy", {
+    routes: [
+      {
+        url: "https://novelbuddy.com/api/manga/1428/chapters?source=detail",
+        body: [
+          '<ul id="chapter-list">',
+          '  <li><a href="/novel/shadow-slave/chapter-1"><strong>Chapter 1 - Nightmare Spell</strong></a></li>',
+          '  <li><a href="/novel/shadow-slave/chapter-10-5"><strong>Chapter 10.5 - Side Story</strong></a></li>',
+          '  <li><a href="/novel/shadow-slave/chapter-2"><strong>Chapter 2 - Lucky</strong></a></li>',
+          '  <li><a href="/novel/shadow-slave/chapter-10"><strong>Chapter 10 - Rivals</strong></a></li>',
+          "</ul>",
+        ].join("\n"),
+      },
+    ],
+  });
+  const { chapters } = await extension.getDetail("/novel/shadow-slave");
+
+  assert.deepEqual(
+    chapters.map((chapter) => chapter.url.replace("/novel/shadow-slave/", "")),
+    ["chapter-10-5", "chapter-10", "chapter-2", "chapter-1"]
+  );
+});
+
+test("extra chapters and chapters that only share a number are kept", async () => {
+  const { extension } = loadFixtureSource("novelbuddy", {
+    routes: [
+      {
+        url: "https://novelbuddy.com/api/manga/1428/chapters?source=detail",
+        body: [
+          '<ul id="chapter-list">',
+          '  <li><a href="/novel/shadow-slave/chapter-2?from=latest"><strong>Latest: Chapter 2</strong></a></li>',
+          '  <li><a href="/novel/shadow-slave/extra-1"><strong>Extra Chapter 1 - Beach Day</strong></a></li>',
+          '  <li><a href="/novel/shadow-slave/chapter-2"><strong>Chapter 2 - Lucky</strong></a></li>',
+          '  <li><a href="/novel/shadow-slave/chapter-2-retold"><strong>Chapter 2 - Lucky (Retold)</strong></a></li>',
+          '  <li><a href="/novel/shadow-slave/chapter-1"><strong>Chapter 1 - Nightmare Spell</strong></a></li>',
+          "</ul>",
+        ].join("\n"),
+      },
+    ],
+  });
+  const { chapters } = await extension.getDetail("/novel/shadow-slave");
+
+  assert.deepEqual(
+    chapters.map((chapter) => chapter.name),
+    ["Extra Chapter 1 - Beach Day", "Chapter 2 - Lucky", "Chapter 2 - Lucky (Retold)", "Chapter 1 - Nightmare Spell"]
+  );
+});
+
+test("locked chapters are marked or hidden and return a locked page", async () => {
+  const routes = [
+    { url: "https://novelbuddy.com/api/manga/1428/chapters?source=detail", file: "chapters-locked.html" },
+    { url: "https://novelbuddy.com/novel/shadow-slave/chapter-4", file: "chapter-locked.html" },
+  ];
+  const { extension } = loadFixtureSource("novelbuddy", { routes });
+  const detail = await extension.getDetail("/novel/shadow-slave");
+  const html = await extension.getHtmlContent("Chapter 4", "/novel/shadow-slave/chapter-4");
+
+  assert.deepEqual(
+    detail.chapters.map((chapter) => chapter.name),
+    ["🔒 Chapter 4 - Rivals", "Chapter 3 - Nightmare Begins"]
+  );
+  assert.equal(
+    html,
+    "<h2>Chapter 4 - Rivals</h2><hr><p>🔒 This chapter is locked on NovelBuddy.</p>\n" +
+      "<p>Unlock it on the website (open the chapter in WebView), then reload it here.</p>"
+  );
+
+  const hidden = loadFixtureSource("novelbuddy", { routes, preferences: { novelbuddy_locked_chapters: "hide" } });
+  const { chapters } = await hidden.extension.getDetail("/novel/shadow-slave");
+  assert.deepEqual(
+    chapters.map((chapter) => chapter.url),
+    ["/novel/shadow-slave/chapter-3"]
+  );
+});
+
+test("getHtmlContent keeps formatting and drops ads and watermarks", async () => {
+  const { extension } = loadFixtureSource("novelbuddy");
+  const html = await extension.getHtmlContent("Chapter 3", "/novel/shadow-slave/chapter-3");
+
+  assert.ok(html.startsWith("<h2>Chapter 3 - Nightmare Begins</h2><hr>"));
+  assert.equal(html.match(/Nightmare Begins/g).length, 1);
+  assert.match(html, /<p>Sunny opened his eyes and saw <em>nothing<\/em> but darkness\.<\/p>/);
+  assert.match(html, /whispered:<br><strong>Aspirant!<\/strong>/);
+  assert.match(html, /<p style="text-align:center">\* \* \*<\/p>/);
+  assert.doesNotMatch(html, /Sponsored|window\.ads|novelbuddy\.com/);
+});
+
+test("getHtmlContent follows ?page= parts within the chapter", async () => {
+  const part = (text, pages) =>
+    `<span class="chapter__title">Chapter 5 - Split</span><div class="content-inner"><p>${text}</p>` +
+    `<div class="chapter-pages">${pages}</div></div>` +
+    '<a class="next" href="/novel/shadow-slave/chapter-6">Next chapter</a>';
+  const { extension, client } = loadFixtureSource("novelbuddy", {
+    routes: [
+      { url: "https://novelbuddy.com/novel/shadow-slave/chapter-5", body: part("First half.", '<a href="?page=2">2</a>') },
+      {
+        url: "https://novelbuddy.com/novel/shadow-slave/chapter-5?page=2",
+        body: part("Second half.", '<a href="https://novelbuddy.com/novel/shadow-slave/chapter-5?page=1">1</a>'),
+      },
+    ],
+  });
+  const html = await extension.getHtmlContent("Chapter 5", "/novel/shadow-slave/chapter-5");
+
+  assert.equal(html, "<h2>Chapter 5 - Split</h2><hr><p>First half.</p>\n<p>Second half.</p>");
+  assert.deepEqual(
+    client.requests.map((request) => request.url),
+    ["https://novelbuddy.com/novel/shadow-slave/chapter-5", "https://novelbuddy.com/novel/shadow-slave/chapter-5?page=2"]
+  );
+});
+
+test("chapter title heading follows the preference", async () => {
+  const { extension } = loadFixtureSource("novelbuddy", {
+    preferences: { novelbuddy_chapter_title: false },
+  });
+  const html = await extension.getHtmlContent("Chapter 3", "/novel/shadow-slave/chapter-3");
+
+  assert.ok(html.startsWith("<p>Sunny opened"));
+});
+
+test("the chapter title is escaped in the heading", async () => {
+  const { extension } = loadFixtureSource("novelbuddy", {
+    routes: [
+      {
+        url: "https://novelbuddy.com/novel/shadow-slave/chapter-1",
+        body: [
+          '<span class="chapter__title">Chapter 1: &lt;System&gt; &amp; Me</span>',
+          '<div class="content-inner"><p>The &lt;System&gt; spoke.</p></div>',
+        ].join("\n"),
+      },
+    ],
+  });
+  const html = await extension.getHtmlContent("Chapter 1", "/novel/shadow-slave/chapter-1");
+
+  assert.equal(html, "<h2>Chapter 1: &lt;System&gt; &amp; Me</h2><hr><p>The &lt;System&gt; spoke.</p>");
+});
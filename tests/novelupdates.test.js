@@ -0,0 +1,194 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadFixtureSource } = require("./harness/runtime");
+
+test("getPopular reads the series ranking", async () => {
+  const { extension, client } = loadFixtureSource("novelupdates");
+  const { list, hasNextPage } = await extension.getPopular(1);
+
+  assert.equal(client.requests[0].url, "https://www.novelupdates.com/series-ranking/?rank=popmonth&pg=1");
+  assert.deepEqual(list, [
+    {
+      name: "Reverend Insanity",
+      link: "/series/reverend-insanity/",
+      imageUrl: "https://cdn.novelupdates.com/imgmid/series_1051.jpg",
+    },
+    {
+      name: "Lord of the Mysteries",
+      link: "/series/lord-of-the-mysteries/",
+      imageUrl: "https://cdn.novelupdates.com/imgmid/series_24.jpg",
+    },
+  ]);
+  assert.equal(hasNextPage, true);
+});
+
+test("search uses the series finder, or the tag page without a term", async () => {
+  const { extension, client } = loadFixtureSource("novelupdates", {
+    routes: [
+      {
+        urlPattern: "^https://www\\.novelupdates\\.com/(series-finder|stag)/",
+        file: "ranking.html",
+      },
+    ],
+  });
+  const filters = extension.getFilterList();
+  filters[0].state.find((item) => item.name === "Xianxia").state = true;
+  filters[0].state.find((item) => item.name === "Action").state = true;
+  filters[1].state.find((item) => item.name === "Web Novel").state = true;
+  filters[3].state = filters[3].values.findIndex((item) => item.value === "sdate");
+  const result = await extension.search("reverend insanity", 2, filters);
+
+  const tagFilters = extension.getFilterList();
+  tagFilters[2].state = "Weak to Strong";
+  await extension.search("", 1, tagFilters);
+
+  assert.equal(result.list.length, 2);
+  assert.deepEqual(
+    client.requests.map((request) => request.url),
+    [
+      "https://www.novelupdates.com/series-finder/?sf=1&sh=reverend%20insanity&nt=2444&gi=8,480&mgi=and&sort=sdate&order=desc&pg=2",
+      "https://www.novelupdates.com/stag/weak-to-strong/?pg=1",
+    ]
+  );
+});
+
+test("getDetail builds chapters from every page of the release table", async () => {
+  const { extension, client } = loadFixtureSource("novelupdates");
+  const detail = await extension.getDetail("https://www.novelupdates.com/series/reverend-insanity/");
+
+  assert.equal(detail.name, "Reverend Insanity");
+  assert.equal(detail.link, "https://www.novelupdates.com/series/reverend-insanity/");
+  assert.equal(detail.author, "Gu Zhen Ren");
+  assert.equal(detail.status, 1);
+  assert.deepEqual(detail.genre, ["Action", "Xianxia"]);
+  assert.equal(
+    detail.description,
+    "Humans are clever in tens of thousands of ways.\n\nFang Yuan was reborn 500 years into the past."
+  );
+  assert.deepEqual(detail.chapters, [
+    {
+      name: "Volume 2 Chapter 3",
+      url: "/extnu/1003/",
+      dateUpload: `${new Date(2024, 2, 5).valueOf()}`,
+      scanlator: "Wuxiaworld",
+    },
+    {
+      name: "Chapter 2 Part 1",
+      url: "/extnu/1002/",
+      dateUpload: `${new Date(2024, 2, 4).valueOf()}`,
+      scanlator: "Wuxiaworld",
+    },
+    {
+      name: "Chapter 1",
+      url: "/extnu/1001/",
+      dateUpload: `${new Date(2024, 2, 3).valueOf()}`,
+      scanlator: "Fan TL",
+    },
+  ]);
+  assert.equal(client.requests[1].url, "https://www.novelupdates.com/series/reverend-insanity/?pg=2");
+});
+
+test("session cookies are sent to Novel Updates only", async () => {
+  const cookies = "wordpress_logged_in_abc=reader%7C123";
+  const { extension, client } = loadFixtureSource("novelupdates", {
+    preferences: { novelupdates_cookies: ` ${cookies} ` },
+  });
+  await extension.getPopular(1);
+
+  assert.equal(client.requests[0].headers.Cookie, cookies);
+  assert.equal(extension.getHeaders("https://fantl.example/chapter-1/").Cookie, undefined);
+});
+
+test("getHtmlContent reads the translator page behind a release link", async () => {
+  const { extension } = loadFixtureSource("novelupdates");
+  const html = await extension.getHtmlContent("Chapter 1", "/extnu/1001/");
+
+  assert.equal(html, "<h2>Chapter 1</h2><hr><p>Mount Qing Mao, a night of heavy rain.</p>\n<p>Fang Yuan stood alone.</p>");
+  assert.equal(await extension.cleanHtmlContent(html), html);
+});
+
+test("a login page asks for session cookies", async () => {
+  const { extension } = loadFixtureSource("novelupdates");
+
+  await assert.rejects(extension.getHtmlContent("Chapter 2 Part 1", "/extnu/1002/"), /log in.*session cookies/i);
+});
+
+test("ranking names, series details, releases and translator text decode escapes and mojibake", async () => {
+  const { extension } = loadFixtureSource("novelupdates", {
+    routes: [
+      {
+        url: "https://www.novelupdates.com/series-ranking/?rank=popmonth&pg=1",
+        body: '<div class="search_main_box_nu"><div class="search_title"><a href="/series/messy/">Tom u0026amp; Jerry&nbsp;Adventures</a></div></div>',
+      },
+      {
+        url: "https://www.novelupdates.com/series/messy/",
+        body: [
+          '<div class="seriestitlenu">Tom u0026amp; Jerry\u200b&nbsp;Adventures</div>',
+          '<div id="seriesgenre"><a href="/genre/a/">Anime \\u0026 Comics</a></div>',
+          '<div id="editdescription"><p>Itâ€™s a  storyÂ&nbsp;about \ufeffcats.</p></div>',
+          '<table id="myTable"><tr><td>03/05/24</td><td><a href="/group/mo/">Mo&amp;amp;#8217;s TL</a></td>',
+          '<td><a class="chp-release" href="/extnu/2001/" title="c1 â€” Start">c1 â€” Start</a></td></tr></table>',
+        ].join("\n"),
+      },
+      { url: "https://www.novelupdates.com/extnu/2001/", body: '<div class="entry-content"><p>Heâ€™s here&nbsp;now.</p></div>' },
+    ],
+  });
+  const { list } = await extension.getPopular(1);
+  const detail = await extension.getDetail("/series/messy/");
+  const html = await extension.getHtmlContent("", "/extnu/2001/");
+
+  assert.equal(list[0].name, "Tom & Jerry Adventures");
+  assert.equal(detail.name, "Tom & Jerry Adventures");
+  assert.deepEqual(detail.genre, ["Anime & Comics"]);
+  assert.equal(detail.description, "It’s a story about cats.");
+  assert.deepEqual(
+    detail.chapters.map((chapter) => [chapter.name, chapter.scanlator]),
+    [["Chapter 1 — Start", "Mo’s TL"]]
+  );
+  assert.equal(html, "<p>He’s here now.</p>");
+});
+
+test("release pages are paced, retried and a long Retry-After is reported", async () => {
+  const { extension, client, timers } = loadFixtureSource("novelupdates", {
+    routes: [
+      {
+        url: "https://www.novelupdates.com/series/reverend-insanity/?pg=2",
+        responses: [{ status: 429, headers: { "Retry-After": "2" } }, { file: "series-2.html" }],
+      },
+      { url: "https://www.novelupdates.com/series/busy/", status: 429, headers: { "Retry-After": "600" } },
+    ],
+  });
+  const detail = await extension.getDetail("/series/reverend-insanity/");
+
+  assert.equal(detail.chapters.length, 3);
+  assert.equal(client.requests.length, 3);
+  // Half a second before page 2, then the Retry-After before asking again
+  assert.equal(timers.length, 2);
+  assert.ok(timers[0] > 400 && timers[0] <= 500);
+  assert.ok(timers[1] > 1900 && timers[1] <= 2000);
+
+  await assert.rejects(extension.getDetail("/series/busy/"), /www\.novelupdates\.com is rate limiting requests \(HTTP 429\)/);
+  assert.equal(client.requests.length, 4);
+});
+
+test("without timers, as in the app, a 429 is reported without a burst of retries", async () => {
+  const { extension, client } = loadFixtureSource("novelupdates", {
+    timers: false,
+    routes: [{ url: "https://www.novelupdates.com/series/busy/", status: 429, headers: { "Retry-After": "1" } }],
+  });
+
+  await assert.rejects(extension.getDetail("/series/busy/"), /www\.novelupdates\.com is rate limiting requests \(HTTP 429\)/);
+  assert.equal(client.requests.length, 1);
+});
+
+test("chapter text is escaped in the returned html", async () => {
+  const { extension } = loadFixtureSource("novelupdates", {
+    routes: [
+      { url: "https://www.novelupdates.com/extnu/2002/", body: '<div class="entry-content"><p>1 &lt; 2 &amp;&amp; 3 &gt; 2</p></div>' },
+    ],
+  });
+  const html = await extension.getHtmlContent("Chapter <1>", "/extnu/2002/");
+
+  assert.equal(html, "<h2>Chapter &lt;1&gt;</h2><hr><p>1 &lt; 2 &amp;&amp; 3 &gt; 2</p>");
+  assert.equal(await extension.cleanHtmlContent(html), html);
+});
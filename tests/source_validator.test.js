@@ -0,0 +1,105 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { validate, compareVersions } = require("../source_validator");
+
+function source(overrides = {}) {
+  return {
+    name: "Sample",
+    id: 101,
+    baseUrl: "https://sample.com",
+    lang: "en",
+    typeSource: "single",
+    iconUrl: "https://sample.com/icon.png",
+    version: "0.0.2",
+    itemType: 2,
+    pkgPath: "novel/src/en/sample.js",
+    ...overrides,
+  };
+}
+
+/**
+ * Build a throwaway repository: { "novel/src/en/x.js": sources | code } plus root files.
+ */
+function makeRepo(files, rootFiles = {}) {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), "validator-"));
+  for (const [rel, content] of Object.entries(files)) {
+    const file = path.join(root, "javascript", rel);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const code = typeof content === "string"
+      ? content
+      : `const mangayomiSources = ${JSON.stringify(content, null, 2)};\nclass DefaultExtension extends MProvider {}\n`;
+    fs.writeFileSync(file, code);
+  }
+  for (const [name, content] of Object.entries(rootFiles)) {
+    fs.writeFileSync(path.join(root, name), typeof content === "string" ? content : JSON.stringify(content));
+  }
+  return root;
+}
+
+function messages(root) {
+  return validate({ root }).map(({ file, message }) => `${file}: ${message}`);
+}
+
+test("a well-formed source matching the index passes", () => {
+  const root = makeRepo(
+    { "novel/src/en/sample.js": [source()] },
+    { "novel_index.json": [{ ...source(), sourceCodeUrl: "https://raw/x" }] }
+  );
+  assert.deepEqual(messages(root), []);
+});
+
+test("reports invalid JSON blocks, string ids and unknown fields the generator needs", () => {
+  const root = makeRepo({
+    "novel/src/en/sample.js": `const mangayomiSources = [{\n  "name": "Sample",\n  "itemType": 2, // novel\n}];\n`,
+    "novel/src/en/other.js": [source({ id: "other", pkgPath: "novel/src/en/other.js", baseUrl: "https://other.com/" })],
+  });
+  const found = messages(root);
+  assert.ok(found.some((m) => m.startsWith("javascript/novel/src/en/sample.js: mangayomiSources is not valid JSON")));
+  assert.ok(found.includes('javascript/novel/src/en/other.js: "id" must be a number, got "other"'));
+  assert.ok(found.includes('javascript/novel/src/en/other.js: baseUrl "https://other.com/" must not end with a slash'));
+});
+
+test("reports duplicate ids, wrong pkgPath and itemType mismatches", () => {
+  const root = makeRepo({
+    "novel/src/en/sample.js": [source()],
+    "novel/src/en/copy.js": [source({ pkgPath: "novel/src/en/missing.js", itemType: 0, isManga: false })],
+  });
+  const found = messages(root);
+  assert.ok(found.includes("javascript/novel/src/en/sample.js: id 101 is already used by javascript/novel/src/en/copy.js"));
+  assert.ok(found.includes('javascript/novel/src/en/copy.js: pkgPath "novel/src/en/missing.js" does not exist under javascript/'));
+  assert.ok(found.includes("javascript/novel/src/en/copy.js: itemType 0 does not match the novel/ folder (expected 2)"));
+  assert.ok(found.includes("javascript/novel/src/en/copy.js: isManga false contradicts itemType 0"));
+});
+
+test("compares versions and metadata with the committed index", () => {
+  const root = makeRepo(
+    {
+      "novel/src/en/sample.js": [source({ version: "0.0.9" })],
+      "novel/src/en/renamed.js": [source({ id: 202, name: "Renamed", pkgPath: "novel/src/en/renamed.js" })],
+    },
+    {
+      "novel_index.json": [
+        source({ version: "0.1.0" }),
+        source({ id: 202, name: "Old name", pkgPath: "novel/src/en/renamed.js" }),
+        source({ id: 303, name: "Gone" }),
+      ],
+      tmp: '[{ "name": "a" } { "name": "b" }]',
+    }
+  );
+  const found = messages(root).sort();
+  assert.match(found.pop(), /^tmp: not valid JSON/);
+  assert.deepEqual(found, [
+    "javascript/novel/src/en/renamed.js: name changed without a version bump (still 0.0.2)",
+    "javascript/novel/src/en/sample.js: version 0.0.9 is lower than 0.1.0 in the index",
+    'novel_index.json: lists "Gone" (id 303) but no source file declares that id',
+  ]);
+});
+
+test("compareVersions orders dotted versions numerically", () => {
+  assert.ok(compareVersions("0.1.0", "0.0.9") > 0);
+  assert.ok(compareVersions("0.0.10", "0.0.9") > 0);
+  assert.equal(compareVersions("1.0.0", "1.0.0"), 0);
+});
@@ -0,0 +1,88 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadFixtureSource } = require("./harness/runtime");
+
+test("getPopular and getLatestUpdates read the novel archive", async () => {
+  const { extension, client } = loadFixtureSource("wordrain69");
+  const popular = await extension.getPopular(1);
+  await extension.getLatestUpdates(1);
+
+  assert.deepEqual(
+    client.requests.map((request) => request.url),
+    ["https://wordrain69.com/novel/page/1/?m_orderby=views", "https://wordrain69.com/novel/page/1/?m_orderby=latest"]
+  );
+  assert.deepEqual(popular.list, [
+    {
+      name: "Under the Blood Moon",
+      link: "/novel/under-the-blood-moon/",
+      imageUrl: "https://wordrain69.com/wp-content/uploads/2023/05/blood-moon-110x150.jpg",
+    },
+    {
+      name: "The Quiet Prince",
+      link: "/novel/the-quiet-prince/",
+      imageUrl: "https://wordrain69.com/wp-content/uploads/2023/02/quiet-prince-110x150.jpg",
+    },
+  ]);
+  assert.equal(popular.hasNextPage, true);
+});
+
+test("search sends keyword and filters to the novel search", async () => {
+  const { extension, client } = loadFixtureSource("wordrain69");
+  const keyword = await extension.search("blood", 1, extension.getFilterList());
+
+  const filters = extension.getFilterList();
+  filters[0].state = filters[0].values.findIndex((item) => item.value === "slice-of-life");
+  filters[1].state = 1;
+  filters[2].state = filters[2].values.findIndex((item) => item.value === "rating");
+  await extension.search("", 2, filters);
+
+  assert.deepEqual(keyword.list, [
+    {
+      name: "Under the Blood Moon",
+      link: "/novel/under-the-blood-moon/",
+      imageUrl: "https://wordrain69.com/wp-content/uploads/2023/05/blood-moon-193x278.jpg",
+    },
+  ]);
+  assert.deepEqual(
+    client.requests.map((request) => request.url),
+    [
+      "https://wordrain69.com/page/1/?s=blood&post_type=wp-manga",
+      "https://wordrain69.com/page/2/?s=&post_type=wp-manga&genre[]=slice-of-life&status[]=end&m_orderby=rating",
+    ]
+  );
+});
+
+test("getDetail reads the summary and loads chapters through admin-ajax", async () => {
+  const { extension, client } = loadFixtureSource("wordrain69");
+  const detail = await extension.getDetail("https://wordrain69.com/novel/under-the-blood-moon/");
+
+  assert.equal(detail.name, "Under the Blood Moon");
+  assert.equal(detail.imageUrl, "https://wordrain69.com/wp-content/uploads/2023/05/blood-moon-193x278.jpg");
+  assert.equal(detail.author, "Mo Xiang");
+  assert.equal(detail.status, 0);
+  assert.deepEqual(detail.genre, ["BL", "Fantasy"]);
+  assert.equal(detail.description, "A general wakes up a hundred years after his death.");
+  assert.deepEqual(
+    detail.chapters.map((chapter) => [chapter.name, chapter.url, chapter.dateUpload]),
+    [
+      ["Chapter 3 - The Return", "/novel/under-the-blood-moon/chapter-3/", `${new Date(2024, 2, 5).valueOf()}`],
+      ["Chapter 2 - Ashes", "/novel/under-the-blood-moon/chapter-2/", `${new Date(2024, 2, 4).valueOf()}`],
+      ["Chapter 1 - A Hundred Years", "/novel/under-the-blood-moon/chapter-1/", `${new Date(2024, 2, 3).valueOf()}`],
+    ]
+  );
+  assert.equal(client.requests[1].method, "POST");
+  assert.equal(client.requests[1].body.action, "manga_get_chapters");
+  assert.equal(client.requests[1].body.manga, "1234");
+});
+
+test("getHtmlContent returns the chapter text without page furniture", async () => {
+  const { extension } = loadFixtureSource("wordrain69");
+  const html = await extension.getHtmlContent("Chapter 1", "/novel/under-the-blood-moon/chapter-1/");
+
+  assert.equal(
+    html,
+    "<h2>Under the Blood Moon - Chapter 1 - A Hundred Years</h2><hr>" +
+      "<p>The general opened his eyes.</p>\n<p>The moon above him was red.</p>"
+  );
+  assert.equal(await extension.cleanHtmlContent(html), html);
+});
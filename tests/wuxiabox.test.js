@@ -0,0 +1,169 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { loadFixtureSource } = require("./harness/runtime");
+
+test("getPopular and getLatestUpdates read the novel listing", async () => {
+  const { extension, client } = loadFixtureSource("wuxiabox");
+  const popular = await extension.getPopular(1);
+  await extension.getLatestUpdates(1);
+
+  assert.deepEqual(
+    client.requests.map((request) => request.url),
+    [
+      "https://www.wuxiabox.com/list/all/all-onclick-0.html",
+      "https://www.wuxiabox.com/list/all/all-lastdotime-0.html",
+    ]
+  );
+  assert.deepEqual(popular.list[0], {
+    name: "Martial God Asura",
+    link: "/novel/martial-god-asura.html",
+    imageUrl: "https://www.wuxiabox.com/files/article/image/0/1/1s.jpg",
+  });
+  assert.equal(popular.list.length, 2);
+  assert.equal(popular.hasNextPage, true);
+});
+
+test("search posts keywords and browses filters without one", async () => {
+  const { extension, client } = loadFixtureSource("wuxiabox");
+  const result = await extension.search("asura", 1, extension.getFilterList());
+
+  const filters = extension.getFilterList();
+  filters[0].state = filters[0].values.findIndex((item) => item.value === "fantasy");
+  filters[1].state = 2;
+  filters[2].state = 1;
+  await extension.search("", 2, filters);
+
+  assert.equal(result.list.length, 1);
+  assert.equal(client.requests[0].method, "POST");
+  assert.equal(client.requests[0].body.keyboard, "asura");
+  assert.equal(client.requests[1].url, "https://www.wuxiabox.com/list/fantasy/Completed-newstime-1.html");
+  assert.ok(filters.every((filter) => filter.name.endsWith("(without a search term)")));
+});
+
+test("getDetail builds the full chapter list", async () => {
+  const { extension } = loadFixtureSource("wuxiabox");
+  const detail = await extension.getDetail("https://www.wuxiabox.com/novel/martial-god-asura.html");
+
+  assert.equal(detail.name, "Martial God Asura");
+  assert.equal(detail.author, "Kindhearted Bee");
+  assert.equal(detail.status, 0);
+  assert.deepEqual(detail.genre, ["Action", "Martial Arts"]);
+  assert.equal(detail.description, "Across a vast world, countless experts have emerged.\n\nChu Feng is one of them.");
+  assert.deepEqual(
+    detail.chapters.map((chapter) => [chapter.name, chapter.url]),
+    [
+      ["Chapter 3: Lightning", "/novel/martial-god-asura_3.html"],
+      ["Chapter 2: Thunder", "/novel/martial-god-asura_2.html"],
+      ["Chapter 1", "/novel/martial-god-asura_1.html"],
+    ]
+  );
+  assert.equal(detail.chapters[0].dateUpload, `${new Date(2024, 2, 3).valueOf()}`);
+});
+
+test("getHtmlContent returns the chapter text", async () => {
+  const { extension } = loadFixtureSource("wuxiabox");
+  const html = await extension.getHtmlContent("Chapter 1", "/novel/martial-god-asura_1.html");
+
+  assert.equal(
+    html,
+    "<h2>Chapter 1: Asura</h2><hr><p>Chu Feng looked at the mountain.</p>\n<p>The wind was cold.</p>"
+  );
+});
+
+test("error pages and missing elements raise descriptive errors", async () => {
+  const { extension } = loadFixtureSource("wuxiabox", {
+    routes: [
+      { url: "https://www.wuxiabox.com/novel/gone.html", status: 404, body: "Not found" },
+      { url: "https://www.wuxiabox.com/novel/moved.html", body: "<html><body><p>Moved</p></body></html>" },
+      { url: "https://www.wuxiabox.com/novel/moved_1.html", body: "<html><body><p>Moved</p></body></html>" },
+    ],
+  });
+
+  await assert.rejects(extension.getDetail("/novel/gone.html"), /HTTP 404 for https:\/\/www\.wuxiabox\.com\/novel\/gone\.html/);
+  await assert.rejects(
+    extension.getDetail("/novel/moved.html"),
+    /Novel title not found on https:\/\/www\.wuxiabox\.com\/novel\/moved\.html/
+  );
+  await assert.rejects(
+    extension.getHtmlContent("Chapter 1", "/novel/moved_1.html"),
+    /Chapter text not found on https:\/\/www\.wuxiabox\.com\/novel\/moved_1\.html/
+  );
+});
+
+test("without a chapter count the listed chapters give the chapter list", async () => {
+  const page = (links) =>
+    [
+      '<h1 class="novel-title">Martial God Asura</h1>',
+      '<div class="header-stats"><span><strong class="ongoing">Ongoing</strong><small>Status</small></span></div>',
+      '<ul class="chapter-list">',
+      ...links.map(([href, title]) => `  <li><a href="${href}"><strong class="chapter-title">${title}</strong></a></li>`),
+      "</ul>",
+    ].join("\n");
+  const { extension } = loadFixtureSource("wuxiabox", {
+    routes: [
+      {
+        url: "https://www.wuxiabox.com/novel/martial-god-asura.html",
+        body: page([
+          ["/novel/martial-god-asura_3.html", "Chapter 3: Lightning"],
+          ["/novel/martial-god-asura_2.html", "Chapter 2: Thunder"],
+        ]),
+      },
+      {
+        url: "https://www.wuxiabox.com/novel/other-novel.html",
+        body: page([
+          ["/novel/other-novel/finale.html", "Chapter 2: Finale"],
+          ["/novel/other-novel/prologue.html", "Chapter 1: Prologue"],
+        ]),
+      },
+    ],
+  });
+  const numbered = await extension.getDetail("/novel/martial-god-asura.html");
+  const listed = await extension.getDetail("/novel/other-novel.html");
+
+  assert.deepEqual(
+    numbered.chapters.map((chapter) => [chapter.name, chapter.url]),
+    [
+      ["Chapter 3: Lightning", "/novel/martial-god-asura_3.html"],
+      ["Chapter 2: Thunder", "/novel/martial-god-asura_2.html"],
+      ["Chapter 1", "/novel/martial-god-asura_1.html"],
+    ]
+  );
+  assert.deepEqual(
+    listed.chapters.map((chapter) => chapter.url),
+    ["/novel/other-novel/finale.html", "/novel/other-novel/prologue.html"]
+  );
+});
+
+test("listing names, novel details, chapter titles and chapter text decode escapes and mojibake", async () => {
+  const { extension } = loadFixtureSource("wuxiabox", {
+    routes: [
+      {
+        url: "https://www.wuxiabox.com/list/all/all-onclick-0.html",
+        body: '<ul><li class="novel-item"><a href="/novel/messy.html" title="Tom u0026amp; Jerry&nbsp;Adventures"></a></li></ul>',
+      },
+      {
+        url: "https://www.wuxiabox.com/novel/messy.html",
+        body: [
+          '<h1 class="novel-title">Tom u0026amp; Jerry\u200b&nbsp;Adventures</h1>',
+          '<div class="categories"><a href="/list/anime.html">Anime \\u0026 Comics</a></div>',
+          '<div class="summary"><div class="content"><p>Itâ€™s a  storyÂ&nbsp;about \ufeffcats.</p></div></div>',
+          '<ul class="chapter-list"><li><a href="/novel/messy_1.html"><strong class="chapter-title">Chapter 1: Mo&amp;amp;#8217;s Pen</strong></a></li></ul>',
+        ].join("\n"),
+      },
+      {
+        url: "https://www.wuxiabox.com/novel/messy_1.html",
+        body: '<div class="titles"><h2>Chapter 1: Mo&amp;#8217;s Pen</h2></div><div class="chapter-content"><p>1 &lt; 2 â€” true</p></div>',
+      },
+    ],
+  });
+  const { list } = await extension.getPopular(1);
+  const detail = await extension.getDetail("/novel/messy.html");
+  const html = await extension.getHtmlContent("Chapter 1", "/novel/messy_1.html");
+
+  assert.equal(list[0].name, "Tom & Jerry Adventures");
+  assert.equal(detail.name, "Tom & Jerry Adventures");
+  assert.deepEqual(detail.genre, ["Anime & Comics"]);
+  assert.equal(detail.description, "It’s a story about cats.");
+  assert.equal(detail.chapters[0].name, "Chapter 1: Mo’s Pen");
+  assert.equal(html, "<h2>Chapter 1: Mo’s Pen</h2><hr><p>1 &lt; 2 — true</p>");
+});